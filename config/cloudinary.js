@@ -4,6 +4,9 @@
 // Sets up Cloudinary with credentials from .env
 // and warns you early if something's missing so you don't
 // scratch your head wondering why uploads break later.
+//
+// Only matters when photos are stored on Cloudinary — see utils/photoStorage.js.
+// Without credentials (and no PHOTO_STORAGE set) photos go to local disk instead.
 
 const cloudinary = require("cloudinary").v2; // .v2 works in both v1 and v2
 const logger     = require("../utils/logger");
@@ -15,13 +18,13 @@ cloudinary.config({
   secure:     true, // always use HTTPS URLs
 });
 
-// quick sanity check on startup
+// quick sanity check — this file is only loaded when Cloudinary is the photo storage
 if (
   !process.env.CLOUDINARY_CLOUD_NAME ||
   !process.env.CLOUDINARY_API_KEY    ||
   !process.env.CLOUDINARY_API_SECRET
 ) {
-  logger.warn("⚠️  Cloudinary credentials missing — photo uploads won't work until you add them to .env");
+  logger.warn("⚠️  PHOTO_STORAGE=cloudinary but the Cloudinary credentials are missing — photo uploads won't work until you add them to .env");
 } else {
   logger.info("✅  Cloudinary ready");
 }
@@ -3,17 +3,56 @@
 //
 // All 8 required operations + bonus "me" query.
 //
+// Access control:
+//   - login / signup are public
+//   - every read needs one of ALL_ROLES (admin, hr, viewer)
+//   - adding / updating / deleting employees needs WRITE_ROLES (admin only) — bulkUpdateEmployees
+//     and bulkDeleteEmployees too, and so does removeEmployeePhoto
+//   - setUserRole, unlockUser, loginAttempts, deletedEmployees and restoreEmployee are admin only
+//   - workforceAnalytics is admin + hr
+//   - refreshToken only needs a valid refresh token; the session mutations need a login
+//   - verifyEmail, requestPasswordReset and resetPassword are public (they're driven by emailed tokens)
+//   - employeeHistory and auditLog are admin only
+//   - webhooks (register / update / delete / redeliver and the delivery log) are admin only
+//   - salaryHistory and salaryOn are admin + hr; changeSalary needs WRITE_ROLES
+//
+// Subscriptions:
+//   - employeeAdded / employeeUpdated / employeeDeleted need a login (any role) — every
+//     employee mutation publishes to them through utils/pubsub.js, after the audit row.
+//     The session is re-checked before every event, so a logout or role change ends the socket
+//
+// Audit trail:
+//   - every mutation writes an AuditLog row (utils/audit.js) with the before/after of each changed field
+//
 // Photo handling:
-//   - addEmployee and updateEmployee both accept an employee_photo argument
-//   - Pass the Cloudinary URL you got from POST /api/upload
+//   - addEmployee and updateEmployee take the file itself as `photo` (Upload, multipart request)
+//   - OR an employee_photo argument — the photo URL you got from POST /api/upload
 //   - OR use the combined REST endpoints:
 //       POST /api/employees/photo   — create employee with photo in one shot
 //       PUT  /api/employees/:id/photo — update employee with photo in one shot
+//   - a replaced photo is deleted from storage (utils/photoStorage.js releasePhoto);
+//     removeEmployeePhoto takes it away altogether
 
-const User     = require("../models/User");
-const Employee = require("../models/Employee");
-const { requireAuth, signToken } = require("../middleware/auth");
-const { notFound, badInput, conflict } = require("../utils/errors");
+const bcrypt          = require("bcryptjs");
+const GraphQLUpload   = require("graphql-upload/GraphQLUpload.js");
+const { withFilter }  = require("graphql-subscriptions");
+const User            = require("../models/User");
+const Employee        = require("../models/Employee");
+const Department      = require("../models/Department");
+const Session         = require("../models/Session");
+const LoginAttempt    = require("../models/LoginAttempt");
+const AuditLog        = require("../models/AuditLog");
+const UserToken       = require("../models/UserToken");
+const Webhook         = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const {
+  ROLES,
+  ALL_ROLES,
+  WRITE_ROLES,
+  requireRole,
+  authPayload,
+} = require("../middleware/auth");
+const { notFound, badInput, conflict, unauth, tooManyRequests } = require("../utils/errors");
 const {
   requireField,
   validateEmail,
@@ -21,8 +60,161 @@ const {
   validateSalary,
   validateDate,
   validateObjectId,
+  validateUrl,
+  validateRole,
 } = require("../utils/validators");
 const logger = require("../utils/logger");
+const { paginate } = require("../utils/pagination");
+const { employeeProjection } = require("../utils/projection");
+const {
+  buildEmployeeFilter,
+  buildEmployeeSort,
+  containsRegex,
+  departmentIdsMatching,
+} = require("../utils/employeeFilter");
+const { resolveDepartment } = require("../utils/departments");
+const { managementChain, buildOrgChart, validateManager } = require("../utils/orgChart");
+const { textSearch, typeahead } = require("../utils/employeeSearch");
+const { RETENTION_DAYS } = require("../utils/purgeJob");
+const { startHistory, addSalaryEntry, salaryHistory } = require("../utils/compensation");
+const { storePhoto, photoFromUrl, photoKeyFromUrl, releasePhoto } = require("../utils/photoStorage");
+const { readPhotoUpload } = require("../middleware/graphqlUpload");
+const { fullName, isoDate } = require("../utils/employeeFormat");
+const { bulkUpdateEmployees, bulkDeleteEmployees } = require("../utils/bulkEmployees");
+const { EVENTS, publishEmployee, subscribe } = require("../utils/pubsub");
+const { WEBHOOK_EVENTS, emitWebhook, redeliver, checkWebhookUrl } = require("../utils/webhooks");
+const {
+  diffFields,
+  snapshot,
+  auditGraphQL,
+  EMPLOYEE_FIELDS,
+  DEPARTMENT_FIELDS,
+  WEBHOOK_FIELDS,
+  REDACTED,
+} = require("../utils/audit");
+const analytics = require("../utils/analytics");
+const { sendPasswordResetEmail, sendVerificationEmail } = require("../utils/mailer");
+
+// one answer for unknown accounts, wrong passwords and locked / throttled accounts alike
+const LOGIN_FAILED_MESSAGE =
+  "Those credentials don't match, or the account is temporarily locked after too many failed logins. Double-check and try again in a few minutes.";
+
+// compared against when there's no real hash to check, so every failed login costs the same
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 12);
+
+const PASSWORD_RESET_TTL_MINUTES   = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES   || "30", 10);
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || "24", 10);
+
+// emails a fresh verification link — failures are logged, not thrown, so signup still works
+// when the mail server is having a bad day (they can ask for another with resendVerificationEmail)
+const issueVerificationEmail = async (user) => {
+  try {
+    const token = await UserToken.issue(user, "email_verification", EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    await sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+  } catch (err) {
+    logger.error(`Couldn't send verification email to ${user.email}: ${err.message}`);
+  }
+};
+
+// a refresh token was used after it had been rotated — two parties have it, so nobody gets
+// to keep the session. Logged and audited so an admin can see it happened.
+// subscribe resolver for an employee event: any role can subscribe, and every event is held
+// back until checkSubscriber() says the session behind the socket is still good — after a
+// logout, revoke or role change it closes the socket instead
+const subscribeAsSubscriber = (event) => (root, args, context, info) => {
+  requireRole(context, ...ALL_ROLES);
+  return withFilter(
+    () => subscribe(event),
+    (_, __, ctx) => ctx.checkSubscriber()
+  )(root, args, context, info);
+};
+
+const revokeReusedSession = async (context, session, actor) => {
+  await session.revoke();
+  logger.warn(`Refresh token reuse on session ${session._id} — session revoked`);
+  await auditGraphQL(context, "refreshToken", {
+    actor:      actor ?? (await User.findById(session.user)),
+    operation:  "session.reuse_detected",
+    entityType: "session",
+    entityId:   session._id,
+  });
+};
+
+// the $or filter shared by both designation / department searches (input is regex-escaped).
+// department matches against department names and codes.
+const designationOrDepartmentQuery = async (designation, department) => {
+  if (!designation && !department) {
+    throw badInput("Provide at least one of: designation, department.");
+  }
+
+  const filters = [];
+  if (designation) filters.push({ designation: containsRegex(designation) });
+  if (department)  filters.push({ department:  { $in: await departmentIdsMatching(department) } });
+  return { $or: filters };
+};
+
+// optional head-of-department: null/"" clears it, anything else has to be a real employee
+const resolveDepartmentHead = async (head) => {
+  if (head === undefined) return undefined;
+  if (head === null || head === "") return null;
+  validateObjectId(head, "head");
+  const employee = await Employee.findById(head);
+  if (!employee) throw notFound(`Employee with ID "${head}"`);
+  return employee._id;
+};
+
+// the duplicate might be someone who was deleted but not purged yet — say so, restoring is usually what they want
+const duplicateEmailMessage = (email, owner) =>
+  owner.deleted_at
+    ? `The email "${email}" belongs to a deleted employee (${owner._id}). Restore them with restoreEmployee instead.`
+    : `An employee with email "${email}" already exists.`;
+
+// AuditLogFilter → Mongo query
+const buildAuditQuery = ({ actor, actor_username, operation, entity_type, entity_id, source, from, to }) => {
+  const query = {};
+  if (actor) {
+    validateObjectId(actor, "filter.actor");
+    query.actor = actor;
+  }
+  if (actor_username) query.actor_username = actor_username.trim();
+  if (operation)      query.operation      = operation.trim();
+  if (entity_type)    query.entity_type    = entity_type;
+  if (entity_id) {
+    validateObjectId(entity_id, "filter.entity_id");
+    query.entity_id = entity_id;
+  }
+  if (source)         query.source         = source;
+
+  const fromDate = from ? validateDate(from, "filter.from") : null;
+  const toDate   = to   ? validateDate(to,   "filter.to")   : null;
+  if (fromDate && toDate && fromDate > toDate) throw badInput("filter.from can't be later than filter.to.");
+  if (fromDate || toDate) {
+    query.created_at = {};
+    if (fromDate) query.created_at.$gte = fromDate;
+    if (toDate)   query.created_at.$lte = toDate;
+  }
+  return query;
+};
+
+// one audit row per employee whose manager got moved as a side effect (e.g. their manager was deleted)
+const auditManagerChange = (context, route, employeeIds, from, to) =>
+  Promise.all(employeeIds.map((id) =>
+    auditGraphQL(context, route, {
+      operation:  "employee.reassign",
+      entityType: "employee",
+      entityId:   id,
+      changes:    [{ field: "manager", before: from ? String(from) : null, after: to ? String(to) : null }],
+    })
+  ));
+
+// { committed, results } from utils/bulkEmployees.js → BulkResult
+const bulkResult = ({ committed, results }) => ({
+  committed,
+  matched:   results.length,
+  succeeded: results.filter((r) => r.success).length,
+  failed:    results.filter((r) => !r.success).length,
+  results,
+});
 
 // strips out undefined/null so we only $set fields that were actually passed
 const pickDefined = (obj) =>
@@ -32,66 +224,200 @@ const pickDefined = (obj) =>
 
 const resolvers = {
 
+  // ── Scalars ──────────────────────────────────────────────────────────────
+  Upload: GraphQLUpload,
+
   // ── Field resolvers ──────────────────────────────────────────────────────
   Employee: {
-    full_name:       (e) => `${e.first_name} ${e.last_name}`,
-    date_of_joining: (e) => new Date(e.date_of_joining).toISOString().split("T")[0],
+    full_name:       (e) => fullName(e),
+    // photos from before renditions (or pasted-in URLs) only have the one size
+    photo:           (e) => e.photo_renditions?.original
+      ? e.photo_renditions
+      : e.employee_photo && { thumbnail: e.employee_photo, medium: e.employee_photo, original: e.employee_photo },
+    // already populated? use it — otherwise look it up (batched per request, see utils/loaders.js)
+    department:      (e, _, { loaders }) => (e.department?.code ? e.department : loaders.department.load(e.department)),
+    manager:         (e, _, { loaders }) => (e.manager ? loaders.employee.load(e.manager) : null),
+    direct_reports:  (e, _, { loaders }) => loaders.directReports.load(e._id),
+    deleted_at:      (e) => e.deleted_at?.toISOString() ?? null,
+    deleted_by:      (e, _, { loaders }) => (e.deleted_by ? loaders.user.load(e.deleted_by) : null),
+    date_of_joining: (e) => isoDate(e.date_of_joining),
     created_at:      (e) => e.created_at?.toISOString(),
     updated_at:      (e) => e.updated_at?.toISOString(),
   },
 
+  Department: {
+    head:       (d, _, { loaders }) => (d.head ? loaders.employee.load(d.head) : null),
+    headcount:  (d, _, { loaders }) => loaders.headcount.load(d._id),
+    created_at: (d) => d.created_at?.toISOString(),
+    updated_at: (d) => d.updated_at?.toISOString(),
+  },
+
   User: {
+    is_locked:  (u) => u.isLocked(),
+    lock_until: (u) => (u.isLocked() ? u.lock_until.toISOString() : null),
     created_at: (u) => u.created_at?.toISOString(),
     updated_at: (u) => u.updated_at?.toISOString(),
   },
 
+  // workforceAnalytics hands back { match } — each field runs its own aggregation,
+  // so a dashboard that only asks for gender_distribution only pays for that one
+  WorkforceAnalytics: {
+    headcount:           ({ match }) => Employee.countDocuments(match),
+    salary:              ({ match }) => analytics.overallSalaryStats(match),
+    by_department:       ({ match }) => analytics.salaryStats(match, "department"),
+    by_designation:      ({ match }) => analytics.salaryStats(match, "designation"),
+    gender_distribution: ({ match }) => analytics.genderDistribution(match),
+    tenure:              ({ match }) => analytics.tenure(match),
+    hires_by_month:      ({ match }, { from, to }) => analytics.hiresByMonth(match, from, to),
+  },
+
+  LoginAttempt: {
+    created_at: (a) => a.created_at?.toISOString(),
+  },
+
+  Session: {
+    created_at:   (s) => s.created_at?.toISOString(),
+    last_used_at: (s) => s.last_used_at?.toISOString(),
+    expires_at:   (s) => s.expires_at?.toISOString(),
+    // true for the session whose token made this request
+    current:      (s, _, context) => String(s._id) === String(context.session?._id),
+  },
+
+  SalaryEntry: {
+    effective_date: (s) => s.effective_date.toISOString().split("T")[0],
+    author:         (s, _, { loaders }) => (s.author ? loaders.user.load(s.author) : null),
+    is_current:     (s) => !!s.is_current,
+    is_scheduled:   (s) => s.effective_date > new Date(),
+    created_at:     (s) => s.created_at?.toISOString(),
+  },
+
+  AuditEntry: {
+    actor:      (a, _, { loaders }) => (a.actor ? loaders.user.load(a.actor) : null),
+    created_at: (a) => a.created_at?.toISOString(),
+  },
+
+  // before / after can be anything (string, number, date string...) — hand them back as JSON text
+  AuditChange: {
+    before: (c) => (c.before == null ? null : JSON.stringify(c.before)),
+    after:  (c) => (c.after  == null ? null : JSON.stringify(c.after)),
+  },
+
+  Webhook: {
+    created_by: (w, _, { loaders }) => (w.created_by ? loaders.user.load(w.created_by) : null),
+    created_at: (w) => w.created_at?.toISOString(),
+    updated_at: (w) => w.updated_at?.toISOString(),
+  },
+
+  WebhookAttempt: {
+    at: (a) => a.at.toISOString(),
+  },
+
+  WebhookDelivery: {
+    webhook:         (d, _, { loaders }) => loaders.webhook.load(d.webhook),
+    payload:         (d) => JSON.stringify(d.payload),
+    next_attempt_at: (d) => (d.status === "pending" ? d.next_attempt_at?.toISOString() : null),
+    delivered_at:    (d) => d.delivered_at?.toISOString() ?? null,
+    created_at:      (d) => d.created_at?.toISOString(),
+  },
+
   // ── Queries ──────────────────────────────────────────────────────────────
   Query: {
 
     // ─ 2. Login ──────────────────────────────────────────────────────────────
-    login: async (_, { usernameOrEmail, password }) => {
+    //
+    // Brute-force protection, checked in this order:
+    //   1. the IP has too many recent failures  → blocked for the window (any account)
+    //   2. the account is locked or backing off → refused without checking the password
+    //   3. wrong password                       → counts towards the lockout
+    // 2 and 3 — and an account that doesn't exist — all get the same error after the same
+    // bcrypt work, so login can't be used to find out which accounts exist. The real reason
+    // lands in the LoginAttempt log either way.
+    login: async (_, { usernameOrEmail, password }, context) => {
       requireField(usernameOrEmail, "usernameOrEmail");
       requireField(password, "password");
 
+      const { req } = context;
+      const attempt = (user, success, reason) =>
+        LoginAttempt.record({ usernameOrEmail, user, req, success, reason });
+
+      if (await LoginAttempt.isIpBlocked(req?.ip)) {
+        await attempt(null, false, "ip_blocked");
+        throw tooManyRequests("Too many failed logins from your network. Try again in a few minutes.");
+      }
+
       const user = await User.findByCredential(usernameOrEmail);
 
-      if (!user || !(await user.comparePassword(password))) {
-        throw badInput("Those credentials don't match. Double-check and try again.");
+      if (user && user.retryAfterMs() > 0) {
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        await attempt(user, false, user.isLocked() ? "locked" : "throttled");
+        throw badInput(LOGIN_FAILED_MESSAGE);
+      }
+
+      if (!user) {
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        await attempt(null, false, "bad_credentials");
+        throw badInput(LOGIN_FAILED_MESSAGE);
+      }
+
+      if (!(await user.comparePassword(password))) {
+        await user.registerFailedLogin();
+        await attempt(user, false, "bad_credentials");
+        throw badInput(LOGIN_FAILED_MESSAGE);
       }
 
       if (!user.is_active) {
+        await attempt(user, false, "inactive");
         throw badInput("This account has been deactivated. Reach out to support.");
       }
 
-      logger.info(`User "${user.username}" logged in`);
+      await user.resetLoginAttempts();
+      await attempt(user, true);
 
-      return {
-        token:      signToken(user._id),
-        token_type: "Bearer",
-        expires_in: process.env.JWT_EXPIRES_IN || "7d",
-        user,
-      };
+      const { session, refreshToken } = await Session.issue(user, req);
+
+      logger.info(`User "${user.username}" logged in (session ${session._id})`);
+      return authPayload(user, session, refreshToken);
     },
 
     // ─ 3. Get all employees ──────────────────────────────────────────────────
-    getAllEmployees: async (_, { page = 1, limit = 20 }, context) => {
-      requireAuth(context);
+    // Only reads the fields the query asks for (utils/projection.js), and total is a function
+    // so GraphQL only counts when it's asked for too — same for every list below.
+    getAllEmployees: async (_, { page = 1, limit = 20 }, context, info) => {
+      requireRole(context, ...ALL_ROLES);
 
       const safePage  = Math.max(1, page);
       const safeLimit = Math.min(100, Math.max(1, limit));
       const skip      = (safePage - 1) * safeLimit;
 
-      const [employees, total] = await Promise.all([
-        Employee.find().sort({ created_at: -1 }).skip(skip).limit(safeLimit),
-        Employee.countDocuments(),
-      ]);
+      const employees = await Employee.find()
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(safeLimit)
+        .select(employeeProjection(info, ["employees"]));
+
+      return { total: () => Employee.countDocuments(), employees };
+    },
+
+    // ─ Deleted employees, most recently deleted first ─────────────────────────
+    deletedEmployees: async (_, { page = 1, limit = 20 }, context, info) => {
+      requireRole(context, ...WRITE_ROLES);
+
+      const safePage  = Math.max(1, page);
+      const safeLimit = Math.min(100, Math.max(1, limit));
+      const deleted   = { deleted_at: { $ne: null } };
+
+      const employees = await Employee.find(deleted)
+        .sort({ deleted_at: -1, _id: -1 })
+        .skip((safePage - 1) * safeLimit)
+        .limit(safeLimit)
+        .select(employeeProjection(info, ["employees"]));
 
-      return { total, employees };
+      return { total: () => Employee.countDocuments(deleted), employees };
     },
 
     // ─ 5. Search employee by ID ───────────────────────────────────────────────
     searchEmployeeById: async (_, { eid }, context) => {
-      requireAuth(context);
+      requireRole(context, ...ALL_ROLES);
       validateObjectId(eid, "eid");
 
       const employee = await Employee.findById(eid);
@@ -101,24 +427,183 @@ const resolvers = {
     },
 
     // ─ 8. Search by designation OR department ────────────────────────────────
-    searchEmployeeByDesignationOrDepartment: async (_, { designation, department }, context) => {
-      requireAuth(context);
+    searchEmployeeByDesignationOrDepartment: async (_, { designation, department }, context, info) => {
+      requireRole(context, ...ALL_ROLES);
 
-      if (!designation && !department) {
-        throw badInput("Provide at least one of: designation, department.");
-      }
+      const query     = await designationOrDepartmentQuery(designation, department);
+      const employees = await Employee.find(query).sort({ created_at: -1 }).select(employeeProjection(info, ["employees"]));
+      return { total: employees.length, employees };
+    },
 
-      const filters = [];
-      if (designation) filters.push({ designation: { $regex: designation.trim(), $options: "i" } });
-      if (department)  filters.push({ department:  { $regex: department.trim(),  $options: "i" } });
+    // ─ Filter + sort employees ───────────────────────────────────────────────
+    employees: async (_, { filter, sort, page = 1, limit = 20 }, context, info) => {
+      requireRole(context, ...ALL_ROLES);
 
-      const employees = await Employee.find({ $or: filters }).sort({ created_at: -1 });
-      return { total: employees.length, employees };
+      const query     = await buildEmployeeFilter(filter);
+      const sortBy    = buildEmployeeSort(sort);
+      const safePage  = Math.max(1, page);
+      const safeLimit = Math.min(100, Math.max(1, limit));
+
+      const employees = await Employee.find(query)
+        .sort(sortBy)
+        .skip((safePage - 1) * safeLimit)
+        .limit(safeLimit)
+        .select(employeeProjection(info, ["employees"]));
+
+      return { total: () => Employee.countDocuments(query), employees };
+    },
+
+    // ─ Full-text search, best match first ─────────────────────────────────────
+    searchEmployees: async (_, { query, limit }, context, info) => {
+      requireRole(context, ...ALL_ROLES);
+      return textSearch(query, { limit, select: employeeProjection(info, ["employee"]) });
+    },
+
+    // ─ Name typeahead for people-pickers ─────────────────────────────────────
+    employeeTypeahead: async (_, { prefix, limit }, context, info) => {
+      requireRole(context, ...ALL_ROLES);
+      return typeahead(prefix, { limit, select: employeeProjection(info) });
+    },
+
+    // ─ Workforce analytics for the HR dashboards ───────────────────────────────
+    workforceAnalytics: async (_, { filter }, context) => {
+      requireRole(context, ROLES.ADMIN, ROLES.HR);
+      return { match: await buildEmployeeFilter(filter) };
+    },
+
+    // ─ Cursor-paginated employee list ───────────────────────────────────────
+    // same order as getAllEmployees (newest first) but stable while rows are being added
+    employeesConnection: async (_, { first, after, last, before }, context, info) => {
+      requireRole(context, ...ALL_ROLES);
+      return paginate(Employee, {}, { first, after, last, before }, { select: employeeProjection(info, ["edges", "node"]) });
+    },
+
+    // ─ Cursor-paginated designation / department search ─────────────────────
+    employeeSearchConnection: async (_, { designation, department, first, after, last, before }, context, info) => {
+      requireRole(context, ...ALL_ROLES);
+
+      const query = await designationOrDepartmentQuery(designation, department);
+      return paginate(Employee, query, { first, after, last, before }, { select: employeeProjection(info, ["edges", "node"]) });
+    },
+
+    // ─ Reporting lines ────────────────────────────────────────────────────────
+    directReports: async (_, { eid }, context, info) => {
+      requireRole(context, ...ALL_ROLES);
+      validateObjectId(eid, "eid");
+      if (!(await Employee.exists({ _id: eid }))) throw notFound(`Employee with ID "${eid}"`);
+
+      return Employee.find({ manager: eid }).sort({ first_name: 1, last_name: 1 }).select(employeeProjection(info));
+    },
+
+    // direct manager first, CEO (or whoever's at the top) last
+    managementChain: async (_, { eid }, context) => {
+      requireRole(context, ...ALL_ROLES);
+      validateObjectId(eid, "eid");
+      if (!(await Employee.exists({ _id: eid }))) throw notFound(`Employee with ID "${eid}"`);
+
+      return managementChain(eid);
+    },
+
+    orgChart: async (_, { rootId, depth }, context) => {
+      requireRole(context, ...ALL_ROLES);
+      return buildOrgChart(rootId, depth);
+    },
+
+    // ─ Departments ──────────────────────────────────────────────────────────────
+    departments: async (_, __, context) => {
+      requireRole(context, ...ALL_ROLES);
+      return Department.find().sort({ name: 1 });
+    },
+
+    // by _id, code, or name
+    department: async (_, { ref }, context) => {
+      requireRole(context, ...ALL_ROLES);
+      return resolveDepartment(ref, "ref");
     },
 
     // ─ Bonus: me ─────────────────────────────────────────────────────────────
     me: async (_, __, context) => {
-      return requireAuth(context);
+      return requireRole(context, ...ALL_ROLES);
+    },
+
+    // ─ Sessions: everywhere I'm logged in ───────────────────────────────────
+    mySessions: async (_, __, context) => {
+      const user = requireRole(context, ...ALL_ROLES);
+      return Session.findActiveForUser(user._id);
+    },
+
+    // ─ Admin: login attempt log ─────────────────────────────────────────────
+    loginAttempts: async (_, { usernameOrEmail, ip, success, since, limit = 50 }, context) => {
+      requireRole(context, ROLES.ADMIN);
+
+      const query = {};
+      if (usernameOrEmail) query.username_or_email = usernameOrEmail.trim();
+      if (ip)              query.ip                = ip.trim();
+      if (typeof success === "boolean") query.success = success;
+      if (since)           query.created_at        = { $gte: validateDate(since, "since") };
+
+      const safeLimit = Math.min(500, Math.max(1, limit));
+      return LoginAttempt.find(query).sort({ created_at: -1 }).limit(safeLimit);
+    },
+
+    // ─ Compensation: every salary entry for one employee ──────────────────────
+    salaryHistory: async (_, { eid }, context) => {
+      requireRole(context, ROLES.ADMIN, ROLES.HR);
+      validateObjectId(eid, "eid");
+
+      const employee = await Employee.findById(eid);
+      if (!employee) throw notFound(`Employee with ID "${eid}"`);
+      return salaryHistory(employee);
+    },
+
+    // ─ Compensation: what were they paid on a given day? ──────────────────────
+    // null if the date is before they joined
+    salaryOn: async (_, { eid, date }, context) => {
+      requireRole(context, ROLES.ADMIN, ROLES.HR);
+      validateObjectId(eid, "eid");
+      const on = validateDate(date, "date");
+
+      const employee = await Employee.findById(eid);
+      if (!employee) throw notFound(`Employee with ID "${eid}"`);
+
+      // history is newest effective date first, so the first one that had started by then
+      const history = await salaryHistory(employee);
+      return history.find((entry) => entry.effective_date <= on) || null;
+    },
+
+    // ─ Audit: everything that ever happened to one employee, newest first ─────
+    // works for deleted and even purged employees — the log outlives them
+    employeeHistory: async (_, { eid, limit = 100 }, context) => {
+      requireRole(context, ROLES.ADMIN);
+      validateObjectId(eid, "eid");
+
+      const safeLimit = Math.min(500, Math.max(1, limit));
+      return AuditLog.find({ entity_type: "employee", entity_id: eid })
+        .sort({ created_at: -1, _id: -1 })
+        .limit(safeLimit);
+    },
+
+    // ─ Audit: the whole log, filtered, with cursor pagination ─────────────────
+    auditLog: async (_, { filter = {}, first, after, last, before }, context) => {
+      requireRole(context, ROLES.ADMIN);
+      return paginate(AuditLog, buildAuditQuery(filter || {}), { first, after, last, before });
+    },
+
+    // ─ Webhooks ──────────────────────────────────────────────────────────────────
+    webhooks: async (_, __, context) => {
+      requireRole(context, ROLES.ADMIN);
+      return Webhook.find().sort({ created_at: -1 });
+    },
+
+    webhookDeliveries: async (_, { webhookId, status, first, after, last, before }, context) => {
+      requireRole(context, ROLES.ADMIN);
+      const query = {};
+      if (webhookId) {
+        validateObjectId(webhookId, "webhookId");
+        query.webhook = webhookId;
+      }
+      if (status) query.status = status;
+      return paginate(WebhookDelivery, query, { first, after, last, before });
     },
   },
 
@@ -126,7 +611,7 @@ const resolvers = {
   Mutation: {
 
     // ─ 1. Signup ──────────────────────────────────────────────────────────────
-    signup: async (_, { username, email, password }) => {
+    signup: async (_, { username, email, password }, context) => {
       requireField(username, "username");
       requireField(email,    "email");
       requireField(password, "password");
@@ -155,32 +640,188 @@ const resolvers = {
         password,
       });
 
+      await auditGraphQL(context, "signup", {
+        actor:      user,
+        operation:  "user.create",
+        entityType: "user",
+        entityId:   user._id,
+        changes:    diffFields(null, user, ["username", "email", "role"]),
+      });
+
+      await issueVerificationEmail(user);
+
       logger.info(`New user registered: ${user.username}`);
       return user;
     },
 
+    // ─ Email verification: redeem the token from the signup email ───────────
+    verifyEmail: async (_, { token }, context) => {
+      requireField(token, "token");
+
+      const record = await UserToken.consume(token, "email_verification");
+      if (!record) throw badInput("That verification link is invalid or has expired. Ask for a new one.");
+
+      const user = await User.findByIdAndUpdate(
+        record.user,
+        { $set: { email_verified: true, email_verified_at: new Date() } },
+        { new: true }
+      );
+      if (!user) throw notFound("User");
+
+      await auditGraphQL(context, "verifyEmail", {
+        actor:      user,
+        operation:  "user.verify_email",
+        entityType: "user",
+        entityId:   user._id,
+        changes:    [{ field: "email_verified", before: false, after: true }],
+      });
+
+      logger.info(`Email verified for "${user.username}"`);
+      return user;
+    },
+
+    // ─ Email verification: send the link again ──────────────────────────────
+    resendVerificationEmail: async (_, __, context) => {
+      const user = requireRole(context, ...ALL_ROLES);
+      if (user.email_verified) throw badInput("Your email is already verified.");
+
+      await issueVerificationEmail(user);
+      await auditGraphQL(context, "resendVerificationEmail", {
+        operation:  "user.resend_verification",
+        entityType: "user",
+        entityId:   user._id,
+      });
+      return { success: true, message: `Verification email sent to ${user.email}.` };
+    },
+
+    // ─ Password reset: step 1, email a reset link ───────────────────────────
+    // always answers the same way so it can't be used to find out which emails have accounts
+    requestPasswordReset: async (_, { email }, context) => {
+      requireField(email, "email");
+      validateEmail(email);
+
+      const user = await User.findOne({ email: email.toLowerCase().trim() });
+      if (user && user.is_active) {
+        try {
+          const token = await UserToken.issue(user, "password_reset", PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+          await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+          logger.info(`Password reset requested for "${user.username}"`);
+          await auditGraphQL(context, "requestPasswordReset", {
+            operation:  "user.password_reset_request",
+            entityType: "user",
+            entityId:   user._id,
+          });
+        } catch (err) {
+          logger.error(`Couldn't send password reset email to ${user.email}: ${err.message}`);
+        }
+      }
+
+      return {
+        success: true,
+        message: "If that email has an account, a reset link is on its way.",
+      };
+    },
+
+    // ─ Password reset: step 2, set the new password with the emailed token ──
+    // logs the user out everywhere — whoever had the old password shouldn't stay signed in
+    resetPassword: async (_, { token, newPassword }, context) => {
+      requireField(token, "token");
+      validatePassword(newPassword);
+
+      const record = await UserToken.consume(token, "password_reset");
+      if (!record) throw badInput("That reset link is invalid or has expired. Ask for a new one.");
+
+      const user = await User.findById(record.user).select("+password");
+      if (!user || !user.is_active) throw badInput("This account has been deactivated. Reach out to support.");
+
+      const before = snapshot(user, ["email_verified", "failed_login_attempts", "lock_until"]);
+
+      user.password = newPassword;
+      // they proved they own the inbox, so count it as verified and clear any lockout
+      user.email_verified        = true;
+      user.email_verified_at     = user.email_verified_at || new Date();
+      user.failed_login_attempts = 0;
+      user.last_failed_login_at  = null;
+      user.lock_until            = null;
+      await user.save();
+
+      await Session.revokeAllForUser(user._id);
+
+      await auditGraphQL(context, "resetPassword", {
+        actor:      user,
+        operation:  "user.password_reset",
+        entityType: "user",
+        entityId:   user._id,
+        changes:    [
+          { field: "password", before: REDACTED, after: REDACTED },
+          ...diffFields(before, user, ["email_verified", "failed_login_attempts", "lock_until"]),
+        ],
+      });
+
+      logger.info(`Password reset for "${user.username}"`);
+      return { success: true, message: "Your password has been reset. Log in with the new one." };
+    },
+
+    // ─ Change password while logged in ──────────────────────────────────────
+    // every other session gets logged out; the one making the request stays
+    changePassword: async (_, { oldPassword, newPassword }, context) => {
+      const current = requireRole(context, ...ALL_ROLES);
+      requireField(oldPassword, "oldPassword");
+      validatePassword(newPassword);
+
+      const user = await User.findById(current._id).select("+password");
+      if (!(await user.comparePassword(oldPassword)))
+        throw badInput("Your current password isn't right.");
+      if (await user.comparePassword(newPassword))
+        throw badInput("The new password has to be different from the old one.");
+
+      user.password = newPassword;
+      await user.save();
+
+      await Session.revokeAllForUser(user._id, { except: context.session._id });
+
+      await auditGraphQL(context, "changePassword", {
+        operation:  "user.password_change",
+        entityType: "user",
+        entityId:   user._id,
+        changes:    [{ field: "password", before: REDACTED, after: REDACTED }],
+      });
+
+      logger.info(`Password changed for "${user.username}"`);
+      return { success: true, message: "Password changed. Your other sessions have been logged out." };
+    },
+
     // ─ 4. Add employee ────────────────────────────────────────────────────────
     //
-    // employee_photo is optional — two ways to provide it:
+    // The photo is optional — three ways to provide it:
+    //
+    //   Option A (one request): send the file itself as `photo` — a multipart request,
+    //     see middleware/graphqlUpload.js
     //
-    //   Option A (GraphQL only):
+    //   Option B (two steps):
     //     1. Call POST /api/upload with the image file → get back a URL
     //     2. Pass that URL as employee_photo here
     //
-    //   Option B (one-shot REST):
+    //   Option C (one-shot REST):
     //     Skip this mutation entirely and use:
     //     POST /api/employees/photo  (multipart/form-data with photo + all fields)
     //
     addEmployee: async (_, args, context) => {
-      requireAuth(context);
+      requireRole(context, ...WRITE_ROLES);
 
       const {
         first_name, last_name, email,
         gender, designation, salary,
         date_of_joining, department,
-        employee_photo,  // Cloudinary URL — optional
+        manager,         // employee _id — optional
+        employee_photo,  // photo URL from POST /api/upload — optional
+        photo,           // or the file itself (Upload) — optional
       } = args;
 
+      if (photo && employee_photo) throw badInput("Pass either photo or employee_photo, not both.");
+      // read it first so a bad file fails before anything else is checked
+      const photoFile = photo ? await readPhotoUpload(photo) : null;
+
       requireField(first_name,  "first_name");
       requireField(last_name,   "last_name");
       requireField(email,       "email");
@@ -190,10 +831,15 @@ const resolvers = {
       validateEmail(email);
       validateSalary(salary);
       const joinDate = validateDate(date_of_joining, "date_of_joining");
+      const dept     = await resolveDepartment(department);
+      if (manager) await validateManager(null, manager);
 
-      const duplicate = await Employee.findOne({ email: email.toLowerCase().trim() });
+      const duplicate = await Employee.findByEmail(email);
       if (duplicate)
-        throw conflict(`An employee with email "${email}" already exists.`);
+        throw conflict(duplicateEmailMessage(email, duplicate));
+
+      // everything checks out — now store the uploaded photo
+      const saved = photoFile ? await storePhoto(photoFile) : photoFromUrl(employee_photo);
 
       const employee = await Employee.create({
         first_name:      first_name.trim(),
@@ -203,40 +849,57 @@ const resolvers = {
         designation:     designation.trim(),
         salary:          parseFloat(salary),
         date_of_joining: joinDate,
-        department:      department.trim(),
-        employee_photo:  employee_photo || null,
+        department:      dept._id,
+        manager:         manager || null,
+        employee_photo:   photoFile ? saved.url : employee_photo || null,
+        photo_public_id:  saved.key,
+        photo_renditions: saved.renditions,
+      });
+
+      await startHistory(employee, { author: context.user });
+
+      await auditGraphQL(context, "addEmployee", {
+        operation:  "employee.create",
+        entityType: "employee",
+        entityId:   employee._id,
+        changes:    diffFields(null, employee, EMPLOYEE_FIELDS),
       });
 
+      await publishEmployee(EVENTS.EMPLOYEE_ADDED, employee._id);
+      await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_CREATED, employee._id);
+
       logger.info(`Employee added: ${employee.first_name} ${employee.last_name} (${employee._id})`);
       return employee;
     },
 
     // ─ 6. Update employee ────────────────────────────────────────────────────
     //
-    // employee_photo is optional — two ways to update it:
+    // The photo is optional — three ways to update it:
     //
-    //   Option A (GraphQL only):
+    //   Option A (one request): send the new file as `photo` (multipart request)
+    //
+    //   Option B (two steps):
     //     1. Call POST /api/upload with the new image → get back a URL
     //     2. Pass that URL as employee_photo here
     //
-    //   Option B (one-shot REST):
+    //   Option C (one-shot REST):
     //     PUT /api/employees/:eid/photo  (multipart/form-data with photo + fields to update)
     //
-    updateEmployee: async (_, { eid, ...updates }, context) => {
-      requireAuth(context);
+    updateEmployee: async (_, { eid, photo, ...updates }, context) => {
+      requireRole(context, ...WRITE_ROLES);
       validateObjectId(eid, "eid");
 
+      if (photo && updates.employee_photo) throw badInput("Pass either photo or employee_photo, not both.");
+      const photoFile = photo ? await readPhotoUpload(photo) : null;
+
       const existing = await Employee.findById(eid);
       if (!existing) throw notFound(`Employee with ID "${eid}"`);
 
       if (updates.email) {
         validateEmail(updates.email);
-        const emailTaken = await Employee.findOne({
-          email: updates.email.toLowerCase().trim(),
-          _id:   { $ne: eid },
-        });
+        const emailTaken = await Employee.findByEmail(updates.email, eid);
         if (emailTaken)
-          throw conflict(`The email "${updates.email}" is already in use by another employee.`);
+          throw conflict(duplicateEmailMessage(updates.email, emailTaken));
         updates.email = updates.email.trim();
       }
 
@@ -245,46 +908,705 @@ const resolvers = {
         updates.date_of_joining = validateDate(updates.date_of_joining, "date_of_joining");
       }
 
-      ["first_name", "last_name", "designation", "department"].forEach((f) => {
+      ["first_name", "last_name", "designation"].forEach((f) => {
         if (updates[f]) updates[f] = updates[f].trim();
       });
 
-      if (updates.salary) updates.salary = parseFloat(updates.salary);
+      if (updates.department) updates.department = (await resolveDepartment(updates.department))._id;
+
+      // salary isn't overwritten — it becomes a new compensation entry, effective today
+      const newSalary = updates.salary;
+      delete updates.salary;
+
+      // manager is the one field where null means something: it clears the manager.
+      // Anything else is checked for self-management and reporting loops.
+      const managerChange = {};
+      if (updates.manager === null) managerChange.manager = null;
+      else if (updates.manager)     managerChange.manager = (await validateManager(eid, updates.manager))._id;
+      delete updates.manager;
 
       // employee_photo — if a new URL was passed, update it; otherwise leave it alone
-      // (null means "keep existing photo", undefined also keeps existing)
+      // (null means "keep existing photo", undefined also keeps existing — removeEmployeePhoto
+      // is how a photo goes away). The old one is deleted from storage after the update.
+      const photoChange = {};
+      let oldPhotoKey = null;
+      if (updates.employee_photo && updates.employee_photo !== existing.employee_photo) {
+        const { key, renditions } = photoFromUrl(updates.employee_photo);
+        photoChange.photo_public_id  = key;
+        photoChange.photo_renditions = renditions;
+        oldPhotoKey = existing.photo_public_id || photoKeyFromUrl(existing.employee_photo);
+      }
 
-      const clean = pickDefined(updates);
-      if (Object.keys(clean).length === 0)
+      const clean = { ...pickDefined(updates), ...managerChange, ...photoChange };
+      if (Object.keys(clean).length === 0 && newSalary == null && !photoFile)
         throw badInput("Nothing to update — pass at least one field.");
 
-      const updated = await Employee.findByIdAndUpdate(
-        eid,
-        { $set: clean },
-        { new: true, runValidators: true }
-      );
+      // an uploaded file is only stored once everything else has checked out
+      if (photoFile) {
+        const saved = await storePhoto(photoFile);
+        clean.employee_photo   = saved.url;
+        clean.photo_public_id  = saved.key;
+        clean.photo_renditions = saved.renditions;
+        oldPhotoKey = existing.photo_public_id || photoKeyFromUrl(existing.employee_photo);
+      }
+
+      let updated = existing;
+      if (Object.keys(clean).length > 0) {
+        updated = await Employee.findByIdAndUpdate(
+          eid,
+          { $set: clean },
+          { new: true, runValidators: true }
+        );
+      }
+      if (newSalary != null && parseFloat(newSalary) !== existing.salary) {
+        await addSalaryEntry(updated, { amount: newSalary, reason: "Updated with updateEmployee", author: context.user });
+        updated = await Employee.findById(eid);
+      }
+
+      if (oldPhotoKey && oldPhotoKey !== updated.photo_public_id) await releasePhoto(oldPhotoKey, eid);
+
+      const changes = diffFields(existing, updated, EMPLOYEE_FIELDS);
+      await auditGraphQL(context, "updateEmployee", {
+        operation:  "employee.update",
+        entityType: "employee",
+        entityId:   updated._id,
+        changes,
+      });
+
+      if (changes.length > 0) {
+        await publishEmployee(EVENTS.EMPLOYEE_UPDATED, updated._id);
+        await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_UPDATED, updated._id);
+      }
 
-      logger.info(`Employee updated: ${eid}`);
+      logger.info(`Employee updated: ${eid} (${changes.map((c) => c.field).join(", ") || "no changes"})`);
       return updated;
     },
 
     // ─ 7. Delete employee ────────────────────────────────────────────────────
-    deleteEmployee: async (_, { eid }, context) => {
-      requireAuth(context);
+    //
+    // Soft delete: the row is only marked (who + when) and disappears from every query.
+    // restoreEmployee brings it back until the purge job removes it for good. The photo
+    // stays in storage until then too, so a restored employee still has it.
+    //
+    // Their direct reports don't get orphaned: by default they move up to the deleted
+    // employee's own manager (or to the top of the chart if there wasn't one).
+    // Pass reassignReportsTo to hand them to someone specific instead.
+    deleteEmployee: async (_, { eid, reassignReportsTo }, context) => {
+      requireRole(context, ...WRITE_ROLES);
       validateObjectId(eid, "eid");
 
       const employee = await Employee.findById(eid);
       if (!employee) throw notFound(`Employee with ID "${eid}"`);
 
-      await Employee.findByIdAndDelete(eid);
+      let newManager = employee.manager || null;
+      if (reassignReportsTo) {
+        if (String(reassignReportsTo) === String(eid))
+          throw badInput("Can't hand the reports to the employee being deleted.");
+        const target = await validateManager(null, reassignReportsTo);
+
+        if (String(target.manager) === String(eid)) {
+          // one of their direct reports is stepping up: they take over the deleted employee's spot
+          await Employee.updateOne({ _id: target._id }, { $set: { manager: employee.manager || null } });
+          await auditManagerChange(context, "deleteEmployee", [target._id], eid, employee.manager);
+        } else {
+          // anyone deeper in their team would end up managing their own manager
+          const chain = await managementChain(target._id);
+          if (chain.some((e) => String(e._id) === String(eid)))
+            throw badInput("reassignReportsTo is further down this employee's team — pick a direct report or someone outside the team.");
+        }
+        newManager = target._id;
+      }
+
+      // by _id — updateMany skips the soft-delete filter, and deleted reports keep their manager
+      const reportIds = await Employee.find({ manager: eid }).distinct("_id");
+      const { modifiedCount: reassigned } = await Employee.updateMany(
+        { _id: { $in: reportIds } },
+        { $set: { manager: newManager } }
+      );
+      await auditManagerChange(context, "deleteEmployee", reportIds, eid, newManager);
+
+      const before = snapshot(employee, EMPLOYEE_FIELDS);
+      await employee.softDelete(context.user._id);
+      await auditGraphQL(context, "deleteEmployee", {
+        operation:  "employee.delete",
+        entityType: "employee",
+        entityId:   employee._id,
+        changes:    diffFields(before, employee, EMPLOYEE_FIELDS),
+      });
+
+      // departments they were heading are left without a head rather than pointing at nobody
+      const headed = await Department.find({ head: eid }).distinct("_id");
+      await Department.updateMany({ head: eid }, { $set: { head: null } });
+      await Promise.all(headed.map((id) =>
+        auditGraphQL(context, "deleteEmployee", {
+          operation:  "department.update",
+          entityType: "department",
+          entityId:   id,
+          changes:    [{ field: "head", before: String(eid), after: null }],
+        })
+      ));
 
-      logger.info(`Employee deleted: ${eid}`);
+      await publishEmployee(EVENTS.EMPLOYEE_DELETED, employee._id);
+      await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_DELETED, employee._id);
+      const moved = [...reportIds, ...(reassignReportsTo ? [newManager] : [])];
+      await publishEmployee(EVENTS.EMPLOYEE_UPDATED, ...moved);
+      await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_UPDATED, ...moved);
+
+      logger.info(`Employee deleted: ${eid} by ${context.user.username} (${reassigned} report(s) reassigned)`);
       return {
         success:    true,
-        message:    `"${employee.first_name} ${employee.last_name}" has been removed.`,
+        message:    `"${employee.first_name} ${employee.last_name}" has been removed.` +
+                    (reassigned ? ` ${reassigned} direct report(s) were reassigned.` : "") +
+                    ` You can undo this with restoreEmployee for the next ${RETENTION_DAYS} days.`,
         deleted_id: eid,
       };
     },
+
+    // ─ Compensation: record a raise / cut ─────────────────────────────────────
+    // effective today unless effective_date says otherwise — a future date is scheduled
+    // and the salary job applies it on the day
+    changeSalary: async (_, { eid, amount, effective_date, reason }, context) => {
+      requireRole(context, ...WRITE_ROLES);
+      validateObjectId(eid, "eid");
+
+      const employee = await Employee.findById(eid);
+      if (!employee) throw notFound(`Employee with ID "${eid}"`);
+
+      const { entry, change } = await addSalaryEntry(employee, {
+        amount,
+        effectiveDate: effective_date,
+        reason,
+        author:        context.user,
+      });
+
+      await auditGraphQL(context, "changeSalary", {
+        operation:  "employee.salary_change",
+        entityType: "employee",
+        entityId:   employee._id,
+        changes:    [
+          ...(change && change.before !== change.after ? [{ field: "salary", before: change.before, after: change.after }] : []),
+          { field: "salary_entry", before: null, after: { amount: entry.amount, effective_date: entry.effective_date.toISOString(), reason: entry.reason } },
+        ],
+      });
+
+      // scheduled changes get published by the salary job on the day they kick in
+      if (change && change.before !== change.after) {
+        await publishEmployee(EVENTS.EMPLOYEE_UPDATED, employee._id);
+        await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_UPDATED, employee._id);
+      }
+
+      logger.info(`Salary change for ${eid}: ${entry.amount} effective ${entry.effective_date.toISOString().split("T")[0]}`);
+      return entry;
+    },
+
+    // ─ Undo a delete ─────────────────────────────────────────────────────────
+    // They come back without their old reports (those were reassigned on delete).
+    // If their manager has since been deleted too, they come back without a manager.
+    restoreEmployee: async (_, { eid }, context) => {
+      requireRole(context, ...WRITE_ROLES);
+      validateObjectId(eid, "eid");
+
+      const employee = await Employee.findOne({ _id: eid, deleted_at: { $ne: null } });
+      if (!employee) {
+        if (await Employee.exists({ _id: eid })) throw badInput("That employee isn't deleted.");
+        throw notFound(`Deleted employee with ID "${eid}"`);
+      }
+
+      const before = snapshot(employee, EMPLOYEE_FIELDS);
+      if (employee.manager && !(await Employee.exists({ _id: employee.manager }))) employee.manager = null;
+      await employee.restore();
+
+      await auditGraphQL(context, "restoreEmployee", {
+        operation:  "employee.restore",
+        entityType: "employee",
+        entityId:   employee._id,
+        changes:    diffFields(before, employee, EMPLOYEE_FIELDS),
+      });
+
+      // to anyone watching they're back on the list, same as a new hire
+      await publishEmployee(EVENTS.EMPLOYEE_ADDED, employee._id);
+      await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_CREATED, employee._id);
+
+      logger.info(`Employee restored: ${eid} by ${context.user.username}`);
+      return employee;
+    },
+
+    // ─ Remove a photo ────────────────────────────────────────────────────────
+    // updateEmployee can only swap a photo for another one — this is how it goes away
+    removeEmployeePhoto: async (_, { eid }, context) => {
+      requireRole(context, ...WRITE_ROLES);
+      validateObjectId(eid, "eid");
+
+      const existing = await Employee.findById(eid);
+      if (!existing) throw notFound(`Employee with ID "${eid}"`);
+      if (!existing.employee_photo && !existing.photo_public_id)
+        throw badInput("That employee has no photo.");
+
+      const oldPhotoKey = existing.photo_public_id || photoKeyFromUrl(existing.employee_photo);
+      const updated = await Employee.findByIdAndUpdate(
+        eid,
+        { $set: { employee_photo: null, photo_public_id: null, photo_renditions: null } },
+        { new: true }
+      );
+      await releasePhoto(oldPhotoKey, eid);
+
+      await auditGraphQL(context, "removeEmployeePhoto", {
+        operation:  "employee.update",
+        entityType: "employee",
+        entityId:   updated._id,
+        changes:    diffFields(existing, updated, EMPLOYEE_FIELDS),
+      });
+
+      await publishEmployee(EVENTS.EMPLOYEE_UPDATED, updated._id);
+      await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_UPDATED, updated._id);
+
+      logger.info(`Photo removed from employee ${eid} by ${context.user.username}`);
+      return updated;
+    },
+
+    // ─ Bulk update ──────────────────────────────────────────────────────────────
+    // the checking and the transaction live in utils/bulkEmployees.js — this just audits
+    // what actually got written
+    bulkUpdateEmployees: async (_, { ids, filter, changes, allOrNothing }, context) => {
+      requireRole(context, ...WRITE_ROLES);
+
+      const outcome = await bulkUpdateEmployees({ ids, filter, changes, allOrNothing, author: context.user });
+
+      const applied = outcome.results.filter((r) => r.success);
+      for (const { outcome: { before, after, salaryEntry } } of applied) {
+        await auditGraphQL(context, "bulkUpdateEmployees", {
+          operation:  "employee.update",
+          entityType: "employee",
+          entityId:   after._id,
+          changes:    [
+            ...diffFields(before, after, EMPLOYEE_FIELDS),
+            ...(salaryEntry ? [{ field: "salary_entry", before: null, after: { amount: salaryEntry.amount, effective_date: salaryEntry.effective_date.toISOString(), reason: salaryEntry.reason } }] : []),
+          ],
+        });
+      }
+
+      await publishEmployee(EVENTS.EMPLOYEE_UPDATED, ...applied.map((r) => r.id));
+      await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_UPDATED, ...applied.map((r) => r.id));
+
+      logger.info(`Bulk update by ${context.user.username}: ${applied.length}/${outcome.results.length} employee(s) updated`);
+      return bulkResult(outcome);
+    },
+
+    // ─ Bulk delete ──────────────────────────────────────────────────────────────
+    bulkDeleteEmployees: async (_, { ids, allOrNothing }, context) => {
+      requireRole(context, ...WRITE_ROLES);
+
+      const outcome = await bulkDeleteEmployees({ ids, allOrNothing, actorId: context.user._id });
+
+      const applied = outcome.results.filter((r) => r.success);
+      for (const { id, outcome: { before, after, reportIds, newManager, headed } } of applied) {
+        await auditManagerChange(context, "bulkDeleteEmployees", reportIds, id, newManager);
+        await auditGraphQL(context, "bulkDeleteEmployees", {
+          operation:  "employee.delete",
+          entityType: "employee",
+          entityId:   after._id,
+          changes:    diffFields(before, after, EMPLOYEE_FIELDS),
+        });
+        await Promise.all(headed.map((deptId) =>
+          auditGraphQL(context, "bulkDeleteEmployees", {
+            operation:  "department.update",
+            entityType: "department",
+            entityId:   deptId,
+            changes:    [{ field: "head", before: id, after: null }],
+          })
+        ));
+      }
+
+      // reports that moved up to someone who was deleted later in the same batch only get one event
+      const deletedIds = applied.map((r) => r.id);
+      const movedIds   = [...new Set(applied.flatMap((r) => r.outcome.reportIds.map(String)))]
+        .filter((id) => !deletedIds.includes(id));
+      await publishEmployee(EVENTS.EMPLOYEE_DELETED, ...deletedIds);
+      await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_DELETED, ...deletedIds);
+      await publishEmployee(EVENTS.EMPLOYEE_UPDATED, ...movedIds);
+      await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_UPDATED, ...movedIds);
+
+      logger.info(`Bulk delete by ${context.user.username}: ${applied.length}/${outcome.results.length} employee(s) deleted`);
+      return bulkResult(outcome);
+    },
+
+    // ─ Departments: create ──────────────────────────────────────────────────────
+    addDepartment: async (_, { code, name, description, head }, context) => {
+      requireRole(context, ...WRITE_ROLES);
+      requireField(code, "code");
+      requireField(name, "name");
+
+      if (await Department.findOne({ code: code.trim().toUpperCase() }))
+        throw conflict(`A department with code "${code.trim().toUpperCase()}" already exists.`);
+      if (await Department.findByName(name))
+        throw conflict(`A department called "${name.trim()}" already exists.`);
+
+      const department = await Department.create({
+        code:        code.trim(),
+        name,
+        description: description?.trim() || null,
+        head:        (await resolveDepartmentHead(head)) ?? null,
+      });
+
+      await auditGraphQL(context, "addDepartment", {
+        operation:  "department.create",
+        entityType: "department",
+        entityId:   department._id,
+        changes:    diffFields(null, department, DEPARTMENT_FIELDS),
+      });
+
+      logger.info(`Department added: ${department.code} — ${department.name}`);
+      return department;
+    },
+
+    // ─ Departments: update (renaming is one write — employees point at the _id) ─
+    updateDepartment: async (_, { id, code, name, description, head }, context) => {
+      requireRole(context, ...WRITE_ROLES);
+      validateObjectId(id, "id");
+
+      const department = await Department.findById(id);
+      if (!department) throw notFound(`Department with ID "${id}"`);
+      const before = snapshot(department, DEPARTMENT_FIELDS);
+
+      if (code !== undefined && code !== null) {
+        const upper = code.trim().toUpperCase();
+        const taken = await Department.findOne({ code: upper, _id: { $ne: id } });
+        if (taken) throw conflict(`A department with code "${upper}" already exists.`);
+        department.code = upper;
+      }
+
+      if (name !== undefined && name !== null) {
+        const taken = await Department.findByName(name);
+        if (taken && String(taken._id) !== String(id))
+          throw conflict(`A department called "${name.trim()}" already exists.`);
+        department.name = name;
+      }
+
+      if (description !== undefined) department.description = description?.trim() || null;
+
+      const newHead = await resolveDepartmentHead(head);
+      if (newHead !== undefined) department.head = newHead;
+
+      await department.save();
+
+      await auditGraphQL(context, "updateDepartment", {
+        operation:  "department.update",
+        entityType: "department",
+        entityId:   department._id,
+        changes:    diffFields(before, department, DEPARTMENT_FIELDS),
+      });
+
+      logger.info(`Department updated: ${department.code} (${id})`);
+      return department;
+    },
+
+    // ─ Departments: delete — refused while anyone still works there ──────────
+    deleteDepartment: async (_, { id }, context) => {
+      requireRole(context, ...WRITE_ROLES);
+      validateObjectId(id, "id");
+
+      const department = await Department.findById(id);
+      if (!department) throw notFound(`Department with ID "${id}"`);
+
+      // deleted employees count too — they might be restored into this department
+      const headcount = await Employee.countDocuments({ department: id }).setOptions({ withDeleted: true });
+      if (headcount > 0)
+        throw conflict(`"${department.name}" still has ${headcount} employee(s), counting deleted ones that haven't been purged yet. Move them to another department first.`);
+
+      await Department.findByIdAndDelete(id);
+
+      await auditGraphQL(context, "deleteDepartment", {
+        operation:  "department.delete",
+        entityType: "department",
+        entityId:   department._id,
+        changes:    diffFields(department, null, DEPARTMENT_FIELDS),
+      });
+
+      logger.info(`Department deleted: ${department.code} (${id})`);
+      return {
+        success:    true,
+        message:    `Department "${department.name}" has been removed.`,
+        deleted_id: id,
+      };
+    },
+
+    // ─ Sessions: swap a refresh token for a new access + refresh token ────────
+    // the old refresh token is dead the moment this returns (rotation). A token that's
+    // already been rotated away — a replay, or two refreshes racing — revokes the session.
+    refreshToken: async (_, { refresh_token }, context) => {
+      requireField(refresh_token, "refresh_token");
+
+      const session = await Session.findByRefreshToken(refresh_token);
+      if (!session) {
+        const reused = await Session.findByRetiredRefreshToken(refresh_token);
+        if (reused) await revokeReusedSession(context, reused);
+        throw unauth("That refresh token is invalid, expired, or has been revoked. Please log in again.");
+      }
+      if (!session.isActive())
+        throw unauth("That refresh token is invalid, expired, or has been revoked. Please log in again.");
+
+      const user = await User.findById(session.user);
+      if (!user || !user.is_active) {
+        await session.revoke();
+        throw unauth("This account is no longer active.");
+      }
+
+      const newRefreshToken = await session.rotate(refresh_token, context.req);
+      if (!newRefreshToken) {
+        await revokeReusedSession(context, session, user);
+        throw unauth("That refresh token is invalid, expired, or has been revoked. Please log in again.");
+      }
+
+      await auditGraphQL(context, "refreshToken", {
+        actor:      user,
+        operation:  "session.refresh",
+        entityType: "session",
+        entityId:   session._id,
+      });
+
+      logger.debug(`Session ${session._id} refreshed for "${user.username}"`);
+      return authPayload(user, session, newRefreshToken);
+    },
+
+    // ─ Sessions: log out of the session this request came from ───────────────
+    logout: async (_, __, context) => {
+      const user = requireRole(context, ...ALL_ROLES);
+      await context.session.revoke();
+      await auditGraphQL(context, "logout", {
+        operation:  "session.revoke",
+        entityType: "session",
+        entityId:   context.session._id,
+      });
+
+      logger.info(`User "${user.username}" logged out (session ${context.session._id})`);
+      return { success: true, message: "You've been logged out.", revoked: 1 };
+    },
+
+    // ─ Sessions: log out everywhere, including this one ─────────────────────
+    logoutAllSessions: async (_, __, context) => {
+      const user    = requireRole(context, ...ALL_ROLES);
+      const revoked = await Session.revokeAllForUser(user._id);
+      await auditGraphQL(context, "logoutAllSessions", {
+        operation:  "session.revoke_all",
+        entityType: "user",
+        entityId:   user._id,
+        changes:    [{ field: "active_sessions", before: revoked, after: 0 }],
+      });
+
+      logger.info(`User "${user.username}" logged out of all sessions (${revoked})`);
+      return { success: true, message: `Logged out of ${revoked} session(s).`, revoked };
+    },
+
+    // ─ Sessions: revoke one of my other sessions (lost phone, etc.) ─────────
+    revokeSession: async (_, { sessionId }, context) => {
+      const user = requireRole(context, ...ALL_ROLES);
+      validateObjectId(sessionId, "sessionId");
+
+      // scoped to the caller so you can't revoke someone else's session by guessing IDs
+      const session = await Session.findOne({ _id: sessionId, user: user._id });
+      if (!session || !session.isActive()) throw notFound(`Session with ID "${sessionId}"`);
+
+      await session.revoke();
+      await auditGraphQL(context, "revokeSession", {
+        operation:  "session.revoke",
+        entityType: "session",
+        entityId:   session._id,
+      });
+
+      logger.info(`User "${user.username}" revoked session ${sessionId}`);
+      return { success: true, message: "Session revoked.", revoked: 1 };
+    },
+
+    // ─ Admin: unlock an account that got locked out ────────────────────────
+    unlockUser: async (_, { userId }, context) => {
+      const admin = requireRole(context, ROLES.ADMIN);
+      validateObjectId(userId, "userId");
+
+      const user = await User.findById(userId);
+      if (!user) throw notFound(`User with ID "${userId}"`);
+
+      const lockFields = ["failed_login_attempts", "last_failed_login_at", "lock_until"];
+      const before     = snapshot(user, lockFields);
+      await user.resetLoginAttempts();
+
+      await auditGraphQL(context, "unlockUser", {
+        operation:  "user.unlock",
+        entityType: "user",
+        entityId:   user._id,
+        changes:    diffFields(before, user, lockFields),
+      });
+
+      logger.info(`Account "${user.username}" unlocked by ${admin.username}`);
+      return user;
+    },
+
+    // ─ Admin: change a user's role ───────────────────────────────────────────
+    // their current access tokens stop working (role mismatch) so they'll have to refresh
+    setUserRole: async (_, { userId, role }, context) => {
+      const admin = requireRole(context, ROLES.ADMIN);
+      validateObjectId(userId, "userId");
+      validateRole(role);
+
+      if (String(admin._id) === String(userId) && role !== ROLES.ADMIN)
+        throw badInput("You can't remove your own admin role — ask another admin.");
+
+      const existing = await User.findById(userId);
+      if (!existing) throw notFound(`User with ID "${userId}"`);
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { role } },
+        { new: true, runValidators: true }
+      );
+
+      await auditGraphQL(context, "setUserRole", {
+        operation:  "user.role_change",
+        entityType: "user",
+        entityId:   user._id,
+        changes:    diffFields(existing, user, ["role"]),
+      });
+
+      logger.info(`Role for "${user.username}" set to ${role} by ${admin.username}`);
+      return user;
+    },
+
+    // ─ Webhooks: register ───────────────────────────────────────────────────────
+    // the secret is generated here and returned this once — it's what receivers verify
+    // X-Webhook-Signature with (see utils/webhooks.js)
+    registerWebhook: async (_, { url, events, description }, context) => {
+      const admin = requireRole(context, ROLES.ADMIN);
+      validateUrl(url);
+      await checkWebhookUrl(url.trim());
+      if (!events.length) throw badInput("Pick at least one event.");
+
+      const secret  = Webhook.generateSecret();
+      const webhook = await Webhook.create({
+        url:         url.trim(),
+        events:      [...new Set(events)],
+        description: description?.trim() || null,
+        secret,
+        created_by:  admin._id,
+      });
+
+      await auditGraphQL(context, "registerWebhook", {
+        operation:  "webhook.create",
+        entityType: "webhook",
+        entityId:   webhook._id,
+        changes:    diffFields(null, webhook, WEBHOOK_FIELDS),
+      });
+
+      logger.info(`Webhook registered: ${webhook.url} (${webhook.events.join(", ")}) by ${admin.username}`);
+      return { webhook, secret };
+    },
+
+    // ─ Webhooks: update ─────────────────────────────────────────────────────────
+    updateWebhook: async (_, { id, ...updates }, context) => {
+      requireRole(context, ROLES.ADMIN);
+      validateObjectId(id, "id");
+
+      const existing = await Webhook.findById(id);
+      if (!existing) throw notFound(`Webhook with ID "${id}"`);
+
+      if (updates.url != null) {
+        validateUrl(updates.url);
+        updates.url = updates.url.trim();
+        await checkWebhookUrl(updates.url);
+      }
+      if (updates.events != null) {
+        if (!updates.events.length) throw badInput("Pick at least one event.");
+        updates.events = [...new Set(updates.events)];
+      }
+      if (updates.description != null) updates.description = updates.description.trim() || null;
+
+      const clean = pickDefined(updates);
+      if (Object.keys(clean).length === 0) throw badInput("Nothing to update — pass at least one field.");
+
+      const webhook = await Webhook.findByIdAndUpdate(id, { $set: clean }, { new: true, runValidators: true });
+
+      await auditGraphQL(context, "updateWebhook", {
+        operation:  "webhook.update",
+        entityType: "webhook",
+        entityId:   webhook._id,
+        changes:    diffFields(existing, webhook, WEBHOOK_FIELDS),
+      });
+
+      logger.info(`Webhook updated: ${id}`);
+      return webhook;
+    },
+
+    // ─ Webhooks: delete ─────────────────────────────────────────────────────────
+    // its deliveries go too — anything still pending would only fail anyway
+    deleteWebhook: async (_, { id }, context) => {
+      requireRole(context, ROLES.ADMIN);
+      validateObjectId(id, "id");
+
+      const webhook = await Webhook.findById(id);
+      if (!webhook) throw notFound(`Webhook with ID "${id}"`);
+
+      await Webhook.deleteOne({ _id: id });
+      const { deletedCount } = await WebhookDelivery.deleteMany({ webhook: id });
+
+      await auditGraphQL(context, "deleteWebhook", {
+        operation:  "webhook.delete",
+        entityType: "webhook",
+        entityId:   webhook._id,
+        changes:    diffFields(webhook, null, WEBHOOK_FIELDS),
+      });
+
+      logger.info(`Webhook deleted: ${webhook.url} (${deletedCount} deliveries removed)`);
+      return {
+        success:    true,
+        message:    `Webhook for ${webhook.url} has been removed along with ${deletedCount} logged deliveries.`,
+        deleted_id: id,
+      };
+    },
+
+    // ─ Webhooks: redeliver ──────────────────────────────────────────────────────
+    redeliverWebhook: async (_, { deliveryId }, context) => {
+      requireRole(context, ROLES.ADMIN);
+      validateObjectId(deliveryId, "deliveryId");
+
+      const original = await WebhookDelivery.findById(deliveryId);
+      if (!original) throw notFound(`Webhook delivery with ID "${deliveryId}"`);
+
+      const webhook = await Webhook.findById(original.webhook);
+      if (!webhook) throw notFound("The webhook for that delivery");
+      if (!webhook.is_active) throw badInput("That webhook is switched off — turn it back on with updateWebhook first.");
+
+      const delivery = await redeliver(original);
+
+      await auditGraphQL(context, "redeliverWebhook", {
+        operation:  "webhook.redeliver",
+        entityType: "webhook",
+        entityId:   webhook._id,
+        changes:    [{ field: "delivery", before: String(original._id), after: String(delivery._id) }],
+      });
+
+      logger.info(`Webhook delivery ${deliveryId} redelivered as ${delivery._id} (${delivery.status})`);
+      return delivery;
+    },
+  },
+
+  // ── Subscriptions ────────────────────────────────────────────────────────────
+  // context comes from buildSubscriptionContext (checked when the socket connects, and
+  // again before every event — see subscribeAsSubscriber).
+  // Events only carry the employee's _id, so each one is loaded fresh here —
+  // withDeleted so employeeDeleted can still find who was deleted.
+  Subscription: {
+    employeeAdded: {
+      subscribe: subscribeAsSubscriber(EVENTS.EMPLOYEE_ADDED),
+      resolve:   ({ employee_id }) => Employee.findById(employee_id).setOptions({ withDeleted: true }),
+    },
+
+    employeeUpdated: {
+      subscribe: subscribeAsSubscriber(EVENTS.EMPLOYEE_UPDATED),
+      resolve:   ({ employee_id }) => Employee.findById(employee_id).setOptions({ withDeleted: true }),
+    },
+
+    employeeDeleted: {
+      subscribe: subscribeAsSubscriber(EVENTS.EMPLOYEE_DELETED),
+      resolve:   ({ employee_id }) => Employee.findById(employee_id).setOptions({ withDeleted: true }),
+    },
   },
 };
 
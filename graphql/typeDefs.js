@@ -8,6 +8,11 @@ const { gql } = require("graphql-tag");
 
 const typeDefs = gql`
 
+  # ── Scalars ───────────────────────────────────────────────────────────────
+
+  # a file sent with the GraphQL multipart request spec — see middleware/graphqlUpload.js
+  scalar Upload
+
   # ── Enums ─────────────────────────────────────────────────────────────────
 
   enum Gender {
@@ -16,23 +21,237 @@ const typeDefs = gql`
     Other
   }
 
+  # admin can change employees, hr and viewer are read-only
+  enum Role {
+    admin
+    hr
+    viewer
+  }
+
+  enum SortDirection {
+    ASC
+    DESC
+  }
+
+  enum EmployeeSortField {
+    first_name
+    last_name
+    email
+    salary
+    date_of_joining
+    department
+    designation
+    created_at
+  }
+
+  # ── Inputs ────────────────────────────────────────────────────────────────
+
+  # every field is optional and they're all AND'ed together —
+  # use AND / OR to combine whole filters
+  input EmployeeFilter {
+    salary_min:           Float
+    salary_max:           Float
+    joined_after:         String     # date_of_joining >= this (e.g. 2022-01-01)
+    joined_before:        String     # date_of_joining <= this
+    gender:               [Gender!]  # any of these
+    department:           ID         # exact match on the department's _id
+    department_contains:  String     # case-insensitive partial match on department name or code
+    designation:          String     # exact match
+    designation_contains: String     # case-insensitive partial match
+    AND:                  [EmployeeFilter!]
+    OR:                   [EmployeeFilter!]
+  }
+
+  input EmployeeSort {
+    field:     EmployeeSortField!
+    direction: SortDirection = ASC
+  }
+
+  # what bulkUpdateEmployees sets on every employee it touches — only the fields you pass change
+  input BulkEmployeeChanges {
+    designation:   String
+    department:    String   # department _id, code, or exact name
+    manager:       ID       # pass null to clear it
+    salary:        Float    # recorded as a compensation entry effective today
+    salary_reason: String   # goes on that entry — defaults to "Updated with bulkUpdateEmployees"
+  }
+
   # ── Core Types ─────────────────────────────────────────────────────────────
 
   type User {
-    _id:        ID!
-    username:   String!
-    email:      String!
-    is_active:  Boolean!
-    created_at: String!
-    updated_at: String!
+    _id:            ID!
+    username:       String!
+    email:          String!
+    role:           Role!
+    is_active:      Boolean!
+    email_verified: Boolean!
+    is_locked:      Boolean!   # true while locked out after too many failed logins
+    lock_until:     String     # when the lockout ends — null if not locked
+    created_at:     String!
+    updated_at:     String!
   }
 
-  # what login returns — includes a JWT so the client can auth future requests
+  # what login / refreshToken return — a short-lived JWT for the Authorization header
+  # plus a refresh token to get the next one with
   type AuthPayload {
-    token:      String!
-    token_type: String!  # always "Bearer"
-    expires_in: String!
-    user:       User!
+    token:              String!
+    token_type:         String!  # always "Bearer"
+    expires_in:         String!  # access token lifetime, e.g. "15m"
+    refresh_token:      String!  # single use — every refresh hands back a new one
+    refresh_expires_at: String!
+    user:               User!
+  }
+
+  # one per login — shows up in mySessions
+  type Session {
+    _id:          ID!
+    device:       String!   # user-agent of the client that logged in
+    ip:           String
+    created_at:   String!
+    last_used_at: String!
+    expires_at:   String!
+    current:      Boolean!  # true for the session making this request
+  }
+
+  # one row per login attempt — admins can browse these with loginAttempts
+  type LoginAttempt {
+    _id:               ID!
+    username_or_email: String!
+    user:              ID       # null when nothing matched
+    ip:                String
+    user_agent:        String
+    success:           Boolean!
+    reason:            String   # bad_credentials, locked, throttled, ip_blocked, inactive
+    created_at:        String!
+  }
+
+  enum AuditSource {
+    graphql
+    rest
+    system     # background jobs — scheduled salary changes, the purge job
+  }
+
+  # one field that changed — before / after are JSON-encoded so any type fits (null stays null)
+  type AuditChange {
+    field:  String!
+    before: String
+    after:  String
+  }
+
+  # one row of the audit trail — see employeeHistory and auditLog
+  type AuditEntry {
+    _id:            ID!
+    actor:          User      # null for things done without a login (signup, reset links...) or by a job
+    actor_username: String
+    actor_role:     String
+    operation:      String!   # employee.create, employee.update, department.delete, user.role_change...
+    entity_type:    String!   # employee, department, user, session, photo or webhook
+    entity_id:      ID
+    source:         AuditSource!
+    route:          String    # mutation name, e.g. "PUT /api/employees/:eid/photo", or the job name
+    changes:        [AuditChange!]!
+    ip:             String
+    created_at:     String!
+  }
+
+  type AuditEntryEdge {
+    cursor: String!
+    node:   AuditEntry!
+  }
+
+  type AuditEntryConnection {
+    edges:      [AuditEntryEdge!]!
+    pageInfo:   PageInfo!
+    totalCount: Int!
+  }
+
+  # ── Webhooks ───────────────────────────────────────────────────────────────
+
+  enum WebhookEvent {
+    employee_created   # addEmployee, the REST create route, CSV imports, restoreEmployee
+    employee_updated
+    employee_deleted
+  }
+
+  enum WebhookDeliveryStatus {
+    pending     # waiting for its first try or a retry
+    succeeded
+    failed      # out of retries, or the webhook was removed / switched off
+  }
+
+  type Webhook {
+    _id:         ID!
+    url:         String!
+    events:      [WebhookEvent!]!
+    description: String
+    is_active:   Boolean!
+    created_by:  User
+    created_at:  String!
+    updated_at:  String!
+  }
+
+  # what registerWebhook returns — the only time the signing secret is shown
+  type WebhookRegistration {
+    webhook: Webhook!
+    secret:  String!
+  }
+
+  type WebhookAttempt {
+    at:            String!
+    response_code: Int      # null when the receiver didn't answer at all
+    error:         String
+    duration_ms:   Int
+  }
+
+  type WebhookDelivery {
+    _id:             ID!
+    webhook:         Webhook   # null once the webhook is deleted
+    event:           WebhookEvent!
+    status:          WebhookDeliveryStatus!
+    payload:         String!   # the exact JSON body that's sent
+    attempts:        [WebhookAttempt!]!
+    response_code:   Int       # from the latest attempt
+    response_body:   String    # first 1000 characters of it
+    error:           String
+    next_attempt_at: String    # only while pending
+    delivered_at:    String
+    redelivery_of:   ID
+    created_at:      String!
+  }
+
+  type WebhookDeliveryEdge {
+    cursor: String!
+    node:   WebhookDelivery!
+  }
+
+  type WebhookDeliveryConnection {
+    edges:      [WebhookDeliveryEdge!]!
+    pageInfo:   PageInfo!
+    totalCount: Int!
+  }
+
+  # every field is optional and they're AND'ed together
+  input AuditLogFilter {
+    actor:          ID
+    actor_username: String
+    operation:      String
+    entity_type:    String
+    entity_id:      ID
+    source:         AuditSource
+    from:           String   # created_at >= this date
+    to:             String   # created_at <= this date
+  }
+
+  # generic "it worked" response for mutations that don't return anything else
+  type MessageResponse {
+    success: Boolean!
+    message: String!
+  }
+
+  type LogoutResponse {
+    success: Boolean!
+    message: String!
+    revoked: Int!     # how many sessions were revoked
   }
 
   type Employee {
@@ -45,24 +264,156 @@ const typeDefs = gql`
     designation:     String!
     salary:          Float!
     date_of_joining: String!
-    department:      String!
-    employee_photo:  String    # Cloudinary URL — null if no photo uploaded
+    department:      Department!
+    manager:         Employee    # who they report to — null at the top of the chart
+    direct_reports:  [Employee!]!
+    employee_photo:  String    # photo URL (the 400x400 one) — null if no photo uploaded
+    photo:           EmployeePhoto   # every size of it — null if no photo uploaded
+    photo_public_id: String    # the photo's key in storage — null if it isn't one of our uploads
+    deleted_at:      String    # only set on deleted employees (see deletedEmployees)
+    deleted_by:      User
     created_at:      String!
     updated_at:      String!
   }
 
-  # paginated employee list — all list queries return this
+  # Every uploaded photo is stored in three sizes. Photos from before that (or URLs
+  # pasted in by hand) come back with the same URL in all three.
+  type EmployeePhoto {
+    thumbnail: String!   # 96x96
+    medium:    String!   # 400x400 — same as employee_photo
+    original:  String!   # full size, metadata stripped
+  }
+
+  type Department {
+    _id:         ID!
+    code:        String!     # short unique handle, e.g. ENG
+    name:        String!
+    description: String
+    head:        Employee    # null if nobody's in charge
+    headcount:   Int!
+    created_at:  String!
+    updated_at:  String!
+  }
+
+  # one box on the org chart
+  type OrgChartNode {
+    employee:         Employee!
+    depth:            Int!            # 0 for the root
+    reports:          [OrgChartNode!]!
+    has_more_reports: Boolean!        # true when reports exist below the requested depth
+  }
+
+  # paginated employee list — the original page/limit queries return this
   type EmployeeList {
     total:     Int!
     employees: [Employee!]!
   }
 
+  # ── Cursor pagination (Relay-style) ──
+  # Cursors are opaque strings — pass endCursor as "after" to get the next page,
+  # or startCursor as "before" (with "last") to go back.
+
+  type PageInfo {
+    hasNextPage:     Boolean!
+    hasPreviousPage: Boolean!
+    startCursor:     String
+    endCursor:       String
+  }
+
+  type EmployeeEdge {
+    cursor: String!
+    node:   Employee!
+  }
+
+  type EmployeeConnection {
+    edges:      [EmployeeEdge!]!
+    pageInfo:   PageInfo!
+    totalCount: Int!   # every matching employee, not just this page
+  }
+
+  # one hit from searchEmployees — higher score = better match
+  type EmployeeSearchResult {
+    score:    Float!
+    employee: Employee!
+  }
+
+  # ── Analytics ──
+
+  # salary numbers for a group of employees — average / median / min / max are null when the group is empty
+  type SalaryStats {
+    key:                  String   # department or designation name — null for the overall stats
+    headcount:            Int!
+    total:                Float!
+    average:              Float
+    median:               Float
+    min:                  Float
+    max:                  Float
+    average_tenure_years: Float
+  }
+
+  type GenderCount {
+    gender:     Gender!
+    count:      Int!
+    percentage: Float!   # 0–100, two decimals
+  }
+
+  type TenureStats {
+    headcount:     Int!
+    average_days:  Float
+    average_years: Float
+  }
+
+  type MonthlyHires {
+    month: String!   # e.g. "2024-03"
+    count: Int!
+  }
+
+  # one salary change — see salaryHistory
+  type SalaryEntry {
+    _id:             ID!
+    amount:          Float!
+    effective_date:  String!   # YYYY-MM-DD
+    reason:          String!
+    author:          User      # null for entries the system made (e.g. the pre-history baseline)
+    author_username: String
+    is_current:      Boolean!  # the entry Employee.salary comes from right now
+    is_scheduled:    Boolean!  # effective date is still in the future
+    created_at:      String!
+  }
+
+  type WorkforceAnalytics {
+    headcount:           Int!
+    salary:              SalaryStats!
+    by_department:       [SalaryStats!]!   # biggest departments first
+    by_designation:      [SalaryStats!]!
+    gender_distribution: [GenderCount!]!
+    tenure:              TenureStats!      # based on date_of_joining
+    # every month in the range is listed, even ones with no hires (max 120 months)
+    hires_by_month(from: String!, to: String!): [MonthlyHires!]!
+  }
+
   type DeleteResponse {
     success:    Boolean!
     message:    String!
     deleted_id: ID!
   }
 
+  # one target of a bulk mutation
+  type BulkItemResult {
+    id:       ID!
+    success:  Boolean!
+    error:    String     # why it failed — or why it was rolled back with the others
+    employee: Employee   # the employee after the change; null when it didn't happen
+  }
+
+  type BulkResult {
+    committed: Boolean!   # false means nothing was written
+    matched:   Int!
+    succeeded: Int!
+    failed:    Int!
+    results:   [BulkItemResult!]!   # same order as the ids you passed (or by created_at for a filter)
+  }
+
   # ── Queries ────────────────────────────────────────────────────────────────
 
   type Query {
@@ -71,7 +422,8 @@ const typeDefs = gql`
     PUBLIC — login with your username or email + password.
     Copy the token from the response and send it as:
       Authorization: Bearer <token>
-    on all protected requests.
+    on all protected requests. The token only lasts 15 minutes — use the
+    refresh_token with the refreshToken mutation to get a new one.
     """
     login(usernameOrEmail: String!, password: String!): AuthPayload!
 
@@ -81,6 +433,12 @@ const typeDefs = gql`
     """
     getAllEmployees(page: Int, limit: Int): EmployeeList!
 
+    """
+    ADMIN — employees that were deleted but not purged yet, most recent first.
+    They're gone for good EMPLOYEE_RETENTION_DAYS (default 30) after being deleted.
+    """
+    deletedEmployees(page: Int, limit: Int): EmployeeList!
+
     """
     PROTECTED — look up one employee by their MongoDB _id.
     """
@@ -88,6 +446,7 @@ const typeDefs = gql`
 
     """
     PROTECTED — search by designation and/or department (case-insensitive).
+    department matches part of a department's name or code.
     Pass at least one of the two arguments.
     """
     searchEmployeeByDesignationOrDepartment(
@@ -95,11 +454,159 @@ const typeDefs = gql`
       department:  String
     ): EmployeeList!
 
+    """
+    PROTECTED — filter and sort employees any way you like.
+    Sorts are applied in order, e.g. [{ field: department }, { field: salary, direction: DESC }].
+    No sort = newest first. page / limit work like getAllEmployees (max 100).
+    """
+    employees(
+      filter: EmployeeFilter
+      sort:   [EmployeeSort!]
+      page:   Int
+      limit:  Int
+    ): EmployeeList!
+
+    """
+    PROTECTED — full-text search across names, designation and department name / code,
+    best match first. Words are matched whole (with stemming, so "engineers"
+    finds "Engineer"); quote a phrase to match it exactly. limit defaults to 20 (max 100).
+    """
+    searchEmployees(query: String!, limit: Int): [EmployeeSearchResult!]!
+
+    """
+    PROTECTED — as-you-type name matching for people-pickers.
+    "al jo" finds "Alice Johnson". limit defaults to 10 (max 100).
+    """
+    employeeTypeahead(prefix: String!, limit: Int): [Employee!]!
+
+    """
+    ADMIN / HR — headcount, salary, gender and tenure numbers, worked out in the database.
+    Takes the same filter as the employees query, so the numbers match the list.
+    Only the fields you ask for get calculated.
+    """
+    workforceAnalytics(filter: EmployeeFilter): WorkforceAnalytics!
+
+    """
+    ADMIN / HR — every salary change for one employee, newest effective date first,
+    including raises scheduled for the future.
+    """
+    salaryHistory(eid: ID!): [SalaryEntry!]!
+
+    """
+    ADMIN / HR — the salary entry that was in effect on a given date
+    (null if they hadn't joined yet).
+    """
+    salaryOn(eid: ID!, date: String!): SalaryEntry
+
+    """
+    PROTECTED — all employees, newest first, with cursor pagination.
+    Use first/after to page forward or last/before to page back (max 100 per page, default 20).
+    Unlike getAllEmployees, pages don't shift when employees are added mid-way.
+    """
+    employeesConnection(
+      first:  Int
+      after:  String
+      last:   Int
+      before: String
+    ): EmployeeConnection!
+
+    """
+    PROTECTED — same search as searchEmployeeByDesignationOrDepartment,
+    but cursor-paginated like employeesConnection.
+    """
+    employeeSearchConnection(
+      designation: String
+      department:  String
+      first:       Int
+      after:       String
+      last:        Int
+      before:      String
+    ): EmployeeConnection!
+
+    """
+    PROTECTED — everyone who reports directly to this employee.
+    """
+    directReports(eid: ID!): [Employee!]!
+
+    """
+    PROTECTED — this employee's manager, their manager's manager, and so on up to the top.
+    """
+    managementChain(eid: ID!): [Employee!]!
+
+    """
+    PROTECTED — the org chart as a tree. Starts at rootId, or at everyone without a
+    manager if you leave it out. depth is how many levels of reports to include
+    (default 3, max 10).
+    """
+    orgChart(rootId: ID, depth: Int): [OrgChartNode!]!
+
+    """
+    PROTECTED — every department, alphabetical.
+    """
+    departments: [Department!]!
+
+    """
+    PROTECTED — one department, looked up by _id, code (e.g. "ENG") or exact name.
+    """
+    department(ref: String!): Department!
+
     """
     PROTECTED — returns the profile of whoever is currently logged in.
     Handy for confirming your token is working.
     """
     me: User!
+
+    """
+    PROTECTED — every session you're currently logged in with (device, IP, last used).
+    """
+    mySessions: [Session!]!
+
+    """
+    ADMIN — the login attempt log, newest first. Every filter is optional.
+    limit defaults to 50 (max 500).
+    """
+    loginAttempts(
+      usernameOrEmail: String
+      ip:              String
+      success:         Boolean
+      since:           String
+      limit:           Int
+    ): [LoginAttempt!]!
+
+    """
+    ADMIN — every recorded change to one employee, newest first — including after
+    they've been deleted or purged. limit defaults to 100 (max 500).
+    """
+    employeeHistory(eid: ID!, limit: Int): [AuditEntry!]!
+
+    """
+    ADMIN — the whole audit trail, newest first, with cursor pagination
+    (same first/after/last/before as employeesConnection).
+    """
+    auditLog(
+      filter: AuditLogFilter
+      first:  Int
+      after:  String
+      last:   Int
+      before: String
+    ): AuditEntryConnection!
+
+    """
+    ADMIN — every registered webhook (secrets not included).
+    """
+    webhooks: [Webhook!]!
+
+    """
+    ADMIN — the delivery log, newest first. Leave webhookId out for all webhooks.
+    """
+    webhookDeliveries(
+      webhookId: ID
+      status:    WebhookDeliveryStatus
+      first:     Int
+      after:     String
+      last:      Int
+      before:    String
+    ): WebhookDeliveryConnection!
   }
 
   # ── Mutations ──────────────────────────────────────────────────────────────
@@ -107,14 +614,65 @@ const typeDefs = gql`
   type Mutation {
 
     """
-    PUBLIC — create a new account.
+    PUBLIC — create a new account (role: viewer).
+    A verification link is emailed to the address you sign up with.
     Password rules: 8+ chars, 1 uppercase, 1 lowercase, 1 digit.
     """
     signup(username: String!, email: String!, password: String!): User!
 
     """
-    PROTECTED — add a new employee.
-    Upload the photo first via POST /api/upload and paste the returned URL
+    PUBLIC — trade a refresh token for a new access token + refresh token.
+    The refresh token you send is used up — store the new one.
+    """
+    refreshToken(refresh_token: String!): AuthPayload!
+
+    """
+    PUBLIC — confirm your email with the token from the signup email.
+    """
+    verifyEmail(token: String!): User!
+
+    """
+    PROTECTED — email yourself a new verification link.
+    """
+    resendVerificationEmail: MessageResponse!
+
+    """
+    PUBLIC — email a password reset link. Always says it worked, even if
+    there's no account with that email.
+    """
+    requestPasswordReset(email: String!): MessageResponse!
+
+    """
+    PUBLIC — set a new password with the token from the reset email.
+    The token works once and expires after 30 minutes (PASSWORD_RESET_TTL_MINUTES). Logs you out everywhere.
+    """
+    resetPassword(token: String!, newPassword: String!): MessageResponse!
+
+    """
+    PROTECTED — change your password. Same rules as signup.
+    Every other session gets logged out.
+    """
+    changePassword(oldPassword: String!, newPassword: String!): MessageResponse!
+
+    """
+    PROTECTED — log out of the current session. Its tokens stop working immediately.
+    """
+    logout: LogoutResponse!
+
+    """
+    PROTECTED — log out of every session on every device, including this one.
+    """
+    logoutAllSessions: LogoutResponse!
+
+    """
+    PROTECTED — revoke one of your sessions by ID (see mySessions).
+    """
+    revokeSession(sessionId: ID!): LogoutResponse!
+
+    """
+    ADMIN — add a new employee.
+    Send the photo file itself as photo (a multipart request — JPEG, PNG or WebP,
+    5MB max), or upload it first via POST /api/upload and paste the returned URL
     into employee_photo.
     """
     addEmployee(
@@ -125,13 +683,18 @@ const typeDefs = gql`
       designation:     String!
       salary:          Float!
       date_of_joining: String!
-      department:      String!
-      employee_photo:  String
+      department:      String!   # department _id, code, or exact name
+      manager:         ID        # employee _id of who they report to
+      employee_photo:  String    # a photo URL...
+      photo:           Upload    # ...or the file itself — not both
     ): Employee!
 
     """
-    PROTECTED — update any fields on an existing employee.
-    Only the fields you include will change.
+    ADMIN — update any fields on an existing employee.
+    Only the fields you include will change. A new salary is recorded as a
+    compensation entry effective today — use changeSalary to give a reason or date.
+    A new photo (file) or employee_photo (URL) replaces the old one, which is
+    deleted from storage.
     """
     updateEmployee(
       eid:             ID!
@@ -142,14 +705,150 @@ const typeDefs = gql`
       designation:     String
       salary:          Float
       date_of_joining: String
-      department:      String
-      employee_photo:  String
+      department:      String    # department _id, code, or exact name
+      manager:         ID        # pass null to clear it; can't be themselves or anyone who reports to them
+      employee_photo:  String    # a photo URL...
+      photo:           Upload    # ...or the file itself — not both
     ): Employee!
 
     """
-    PROTECTED — permanently remove an employee by ID.
+    ADMIN — delete an employee by ID. They disappear from every query right away
+    but can be brought back with restoreEmployee until the retention period runs out
+    (their photo is deleted from storage when they're purged after that).
+    Their direct reports move up to the deleted employee's manager, unless you
+    pass reassignReportsTo. If that's one of their direct reports, that person
+    steps into the deleted employee's place and the rest report to them.
+    """
+    deleteEmployee(eid: ID!, reassignReportsTo: ID): DeleteResponse!
+
+    """
+    ADMIN — apply the same changes to many employees at once (up to 500), picked by
+    ids or by filter — pass exactly one. Every change and every employee is checked
+    before anything is written. With allOrNothing (the default) one failure means
+    nothing changes; turn it off to apply whatever passes and get the rest back as errors.
+    """
+    bulkUpdateEmployees(
+      ids:          [ID!]
+      filter:       EmployeeFilter
+      changes:      BulkEmployeeChanges!
+      allOrNothing: Boolean = true
+    ): BulkResult!
+
+    """
+    ADMIN — deleteEmployee for many employees at once, with the same allOrNothing
+    behaviour as bulkUpdateEmployees. Direct reports move up to the deleted employee's
+    manager (further up if that manager is being deleted too). Each one can be brought
+    back with restoreEmployee.
+    """
+    bulkDeleteEmployees(ids: [ID!]!, allOrNothing: Boolean = true): BulkResult!
+
+    """
+    ADMIN — record a salary change. effective_date defaults to today; a future date
+    schedules it and the salary takes effect automatically on that day. Past dates
+    are fine too (back pay), as long as they're not before the date of joining.
+    """
+    changeSalary(eid: ID!, amount: Float!, effective_date: String, reason: String!): SalaryEntry!
+
+    """
+    ADMIN — undo deleteEmployee. Their old direct reports stay where they were reassigned.
+    """
+    restoreEmployee(eid: ID!): Employee!
+
+    """
+    ADMIN — take an employee's photo away. employee_photo goes back to null and the
+    image is deleted from storage.
+    """
+    removeEmployeePhoto(eid: ID!): Employee!
+
+    """
+    ADMIN — create a department. code is stored uppercase and both code and
+    name have to be unique (name is compared case-insensitively).
+    """
+    addDepartment(
+      code:        String!
+      name:        String!
+      description: String
+      head:        ID        # employee _id
+    ): Department!
+
+    """
+    ADMIN — change a department. Renaming it renames it for every employee at once.
+    Pass head: null to clear the head.
+    """
+    updateDepartment(
+      id:          ID!
+      code:        String
+      name:        String
+      description: String
+      head:        ID
+    ): Department!
+
+    """
+    ADMIN — delete a department. Refused while it still has employees.
+    """
+    deleteDepartment(id: ID!): DeleteResponse!
+
+    """
+    ADMIN — change another user's role. New signups start as viewer.
+    The user has to refresh or log in again afterwards to get a token with the new role.
+    """
+    setUserRole(userId: ID!, role: Role!): User!
+
+    """
+    ADMIN — clear a lockout and reset the failed login counter for a user.
+    """
+    unlockUser(userId: ID!): User!
+
+    """
+    ADMIN — register a URL to be told about employee events. Each request is signed
+    with the returned secret (X-Webhook-Signature) — store it, it isn't shown again.
+    """
+    registerWebhook(url: String!, events: [WebhookEvent!]!, description: String): WebhookRegistration!
+
+    """
+    ADMIN — change a webhook. is_active: false pauses it without losing the log.
+    """
+    updateWebhook(
+      id:          ID!
+      url:         String
+      events:      [WebhookEvent!]
+      description: String
+      is_active:   Boolean
+    ): Webhook!
+
+    """
+    ADMIN — remove a webhook and its delivery log.
+    """
+    deleteWebhook(id: ID!): DeleteResponse!
+
+    """
+    ADMIN — send a delivery's payload again, right now, as a new delivery
+    (retries continue as normal if it fails). Returns it after the first attempt.
+    """
+    redeliverWebhook(deliveryId: ID!): WebhookDelivery!
+  }
+
+  # ── Subscriptions ─────────────────────────────────────────────────────────
+  # over WebSocket (graphql-ws) at the same /graphql path — send the access token
+  # in connectionParams: { "authorization": "Bearer <token>" }
+
+  type Subscription {
+    """
+    PROTECTED — an employee was added (addEmployee, the REST create route, a CSV import)
+    or brought back with restoreEmployee.
+    """
+    employeeAdded: Employee!
+
+    """
+    PROTECTED — an employee changed: updateEmployee, the REST update route, a salary
+    change taking effect, a bulk update, or a new manager after theirs was deleted.
+    """
+    employeeUpdated: Employee!
+
+    """
+    PROTECTED — an employee was deleted. deleted_at / deleted_by are set on what you get.
     """
-    deleteEmployee(eid: ID!): DeleteResponse!
+    employeeDeleted: Employee!
   }
 `;
 
@@ -1,54 +1,219 @@
 // middleware/auth.js
-// v3.0.0
+// v4.1.0
 //
-// Three things live here:
+// Everything auth-related lives here:
 //   1. buildContext  — reads the JWT from the Authorization header and attaches the user
-//                      to every GraphQL request. Doesn't throw if no token — that's intentional.
+//                      (and their session) to every GraphQL request, plus a fresh set of
+//                      DataLoaders (utils/loaders.js). Doesn't throw if no token — that's intentional.
 //   2. requireAuth   — call this at the top of any protected resolver to gate it behind login.
-//   3. signToken     — creates a signed JWT for a user.
+//   3. requireRole   — same as requireAuth, but also checks the user's role.
+//   4. protect       — Express version of requireAuth for the REST routes.
+//   5. restrictTo    — Express version of requireRole, goes after protect.
+//   6. signToken     — creates a short-lived access token for a user (carries their role + session).
+//   7. authPayload   — builds what login / refreshToken return (access + refresh token).
+//   8. buildSubscriptionContext — buildContext for WebSocket subscriptions (token in connectionParams).
+//                      Its checkSubscriber() re-checks the session on every event and closes the
+//                      socket once it's been logged out, revoked or had its role changed.
+//
+// Tokens:
+//   Access tokens are short-lived JWTs (15 minutes unless JWT_EXPIRES_IN says otherwise).
+//   Each one is tied to a Session document (models/Session.js) holding a rotating refresh
+//   token. Revoking the session — logout, logoutAllSessions, revokeSession — kills its
+//   access tokens straight away, not just when they expire.
+//
+// Roles:
+//   admin  — everything, including adding / updating / deleting employees and managing users
+//   hr     — read-only access to employees
+//   viewer — read-only access to employees (default for new signups)
+
+const jwt     = require("jsonwebtoken");
+const User    = require("../models/User");
+const Session = require("../models/Session");
+const logger  = require("../utils/logger");
+const { unauth, forbidden } = require("../utils/errors");
+const { createLoaders } = require("../utils/loaders");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+
+const ROLES = {
+  ADMIN:  "admin",
+  HR:     "hr",
+  VIEWER: "viewer",
+};
 
-const jwt    = require("jsonwebtoken");
-const User   = require("../models/User");
-const logger = require("../utils/logger");
-const { unauth } = require("../utils/errors");
+// handy groups so resolvers don't have to spell out every role
+const ALL_ROLES   = [ROLES.ADMIN, ROLES.HR, ROLES.VIEWER];
+const WRITE_ROLES = [ROLES.ADMIN];
 
-// reads the token, finds the user, returns both in context
-const buildContext = async (req) => {
+// pulls the raw token out of "Authorization: Bearer <token>" — null if there isn't one
+const extractToken = (req) => {
   const authHeader = req.headers.authorization || "";
+  if (!authHeader.startsWith("Bearer ")) return null;
+  return authHeader.slice(7).trim() || null;
+};
 
-  // nothing in the header? that's fine — public routes don't need it
-  if (!authHeader.startsWith("Bearer ")) {
-    return { user: null, req };
+// verifies the token and loads the user + session behind it.
+// Returns null for anything that shouldn't count as logged in — the role is
+// re-checked against the database so a demoted user can't keep using an old token,
+// and the session has to still be alive so logged-out tokens stop working.
+const resolveUser = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // tokens from before sessions existed don't have a sid — they can't be revoked, so refuse them
+  if (!decoded.sid) return null;
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId),
+    Session.findById(decoded.sid),
+  ]);
+
+  // user deleted or deactivated since the token was issued
+  if (!user || !user.is_active) return null;
+
+  // logged out, revoked, or someone else's session
+  if (!session || !session.isActive() || String(session.user) !== String(user._id)) return null;
+
+  // role changed since the token was issued — make them refresh or log in again
+  if (decoded.role !== user.role) {
+    logger.debug(`Stale role in token for "${user.username}" (${decoded.role} → ${user.role})`);
+    return null;
   }
 
-  const token = authHeader.slice(7).trim();
-  if (!token) return { user: null, req };
+  await session.touch();
+  return { user, session };
+};
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user    = await User.findById(decoded.userId);
+// reads the token, finds the user, returns both in context (with this request's loaders)
+const buildContext = async (req, { cacheLoaders = true } = {}) => {
+  const token   = extractToken(req);
+  const loaders = createLoaders({ cache: cacheLoaders });
 
-    // user deleted or deactivated since the token was issued
-    if (!user || !user.is_active) return { user: null, req };
+  // nothing in the header? that's fine — public routes don't need it
+  if (!token) return { user: null, session: null, req, loaders };
 
-    return { user, req };
+  try {
+    const auth = await resolveUser(token);
+    if (!auth) return { user: null, session: null, req, loaders };
+    return { user: auth.user, session: auth.session, req, loaders };
   } catch (err) {
     // expired, tampered, whatever — just treat as unauthenticated
     logger.debug(`JWT check failed: ${err.message}`);
-    return { user: null, req };
+    return { user: null, session: null, req, loaders };
   }
 };
 
+// true while the login behind a long-lived context still holds: the session hasn't been
+// revoked or run out, the account is still active and the role hasn't changed. The access
+// token itself may have expired by now — a socket outliving its 15-minute token is fine,
+// one outliving a logout isn't.
+const sessionStillValid = async ({ user, session }) => {
+  if (!user || !session) return false;
+
+  const [freshUser, freshSession] = await Promise.all([
+    User.findById(user._id),
+    Session.findById(session._id),
+  ]);
+  return Boolean(freshUser?.is_active && freshSession?.isActive() && freshUser.role === user.role);
+};
+
+// same thing for a WebSocket subscription. Browsers can't set headers on a WebSocket, so
+// graphql-ws clients send the token in connectionParams: { authorization: "Bearer <token>" }.
+// The token is checked when the socket connects, and checkSubscriber() re-checks the session
+// before every event goes out — once it fails the socket is closed (4403) and the client
+// has to reconnect with a fresh login. The context lasts as long as the socket, so its
+// loaders batch but don't cache — every event loads fresh data.
+const buildSubscriptionContext = async (connectionParams = {}, request = null, socket = null) => {
+  const authorization =
+    connectionParams?.authorization || connectionParams?.Authorization || request?.headers?.authorization || "";
+  const context = await buildContext({
+    headers: { ...request?.headers, authorization },
+    ip:      request?.socket?.remoteAddress || null,
+  }, { cacheLoaders: false });
+
+  context.checkSubscriber = async () => {
+    if (await sessionStillValid(context)) return true;
+
+    logger.debug(`Closing subscription socket for session ${context.session?._id} — no longer valid`);
+    socket?.close(4403, "Session ended — log in again");
+    return false;
+  };
+  return context;
+};
+
 // drop this at the start of any resolver that needs a logged-in user
 const requireAuth = (context) => {
   if (!context.user) throw unauth();
   return context.user;
 };
 
-// sign a 7-day token (or whatever JWT_EXPIRES_IN is set to)
-const signToken = (userId) =>
-  jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+// like requireAuth, but the user also needs one of the listed roles
+// usage: requireRole(context, ROLES.ADMIN)  OR  requireRole(context, ...ALL_ROLES)
+const requireRole = (context, ...roles) => {
+  const user = requireAuth(context);
+  if (!roles.includes(user.role)) {
+    throw forbidden(`Your role (${user.role}) isn't allowed to do that.`);
+  }
+  return user;
+};
+
+// ─── Express middleware for REST routes ──────────────────────────────────────
+
+const protect = async (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, message: "No token provided. Please login first." });
+  }
+
+  try {
+    const auth = await resolveUser(token);
+    if (!auth) {
+      return res.status(401).json({ success: false, message: "Invalid or expired token." });
+    }
+    req.user    = auth.user;
+    req.session = auth.session;
+    next();
+  } catch (err) {
+    return res.status(401).json({ success: false, message: "Invalid or expired token." });
+  }
+};
+
+// use after protect: router.post("/", protect, restrictTo(ROLES.ADMIN), ...)
+const restrictTo = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: "You don't have permission to do that.",
+    });
+  }
+  next();
+};
+
+// sign a 15-minute access token (or whatever JWT_EXPIRES_IN is set to) tied to a session
+const signToken = (user, session) =>
+  jwt.sign({ userId: user._id, role: user.role, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
   });
 
-module.exports = { buildContext, requireAuth, signToken };
\ No newline at end of file
+// the AuthPayload shape returned by login and refreshToken
+const authPayload = (user, session, refreshToken) => ({
+  token:              signToken(user, session),
+  token_type:         "Bearer",
+  expires_in:         ACCESS_TOKEN_EXPIRES_IN,
+  refresh_token:      refreshToken,
+  refresh_expires_at: session.expires_at.toISOString(),
+  user,
+});
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  WRITE_ROLES,
+  buildContext,
+  buildSubscriptionContext,
+  requireAuth,
+  requireRole,
+  protect,
+  restrictTo,
+  signToken,
+  authPayload,
+};
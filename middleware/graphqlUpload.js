@@ -0,0 +1,87 @@
+// middleware/graphqlUpload.js
+// v1.0.0
+//
+// File uploads straight into GraphQL, following the GraphQL multipart request spec
+// (https://github.com/jaydenseric/graphql-multipart-request-spec) — so addEmployee and
+// updateEmployee can take the photo itself instead of a URL from POST /api/upload.
+//
+//   1. graphqlUploads — goes in front of Apollo on /graphql. Turns a multipart request
+//                       into a normal GraphQL body with Upload values in the variables.
+//                       JSON requests pass straight through.
+//   2. readPhotoUpload — for resolvers: waits for an Upload, reads it into memory and runs
+//                        it through processPhoto() (utils/photoProcessing.js), ready for
+//                        storePhoto(). Nothing is stored yet.
+//
+// Same rules as the REST routes' multer setup: JPEG / PNG / WebP only, 5MB max, one file —
+// and then the same content checks as every other upload.
+//
+// CSRF: a multipart/form-data POST is a "simple" request, so any web page could make a
+// browser send one without asking first. Multipart requests therefore need one of the
+// headers below — a browser won't add a custom header cross-origin without a CORS
+// preflight. It's checked before the body is read, so a forged request never gets as
+// far as uploading anything. Apollo's own csrfPrevention does the same for the other
+// simple requests (GET, text/plain...).
+
+const graphqlUploadExpress = require("graphql-upload/graphqlUploadExpress.js");
+const { badInput } = require("../utils/errors");
+const { PHOTO_TYPES, MAX_PHOTO_BYTES } = require("../utils/photoStorage");
+const { processPhoto } = require("../utils/photoProcessing");
+
+// the ones Apollo Client and Apollo Sandbox already send
+const PREFLIGHT_HEADERS = ["apollo-require-preflight", "x-apollo-operation-name"];
+
+// ─── Express side ─────────────────────────────────────────────────────────────
+
+const requirePreflight = (req, res, next) => {
+  if (!req.is("multipart/form-data")) return next();
+  if (PREFLIGHT_HEADERS.some((h) => req.headers[h])) return next();
+
+  // the body is never read — close the connection rather than wait for the whole file
+  res.set("Connection", "close");
+  return res.status(400).json({
+    errors: [{
+      message: `File uploads need an "Apollo-Require-Preflight: true" (or "X-Apollo-Operation-Name") header — it protects against CSRF.`,
+      code:    "BAD_REQUEST",
+    }],
+  });
+};
+
+const graphqlUploads = [
+  requirePreflight,
+  graphqlUploadExpress({ maxFileSize: MAX_PHOTO_BYTES, maxFiles: 1 }),
+];
+
+// ─── Resolver side ────────────────────────────────────────────────────────────
+
+// Upload → processPhoto()'s result — throws a BAD_USER_INPUT error for anything the REST
+// routes would have turned away
+const readPhotoUpload = async (upload, fieldName = "photo") => {
+  const { createReadStream, mimetype } = await upload;
+
+  if (!PHOTO_TYPES.includes(mimetype)) {
+    // drain it so the request can finish
+    createReadStream().resume();
+    throw badInput(`"${fieldName}": only JPEG, PNG, and WebP images are allowed.`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of createReadStream()) {
+      size += chunk.length;
+      if (size > MAX_PHOTO_BYTES) break;
+      chunks.push(chunk);
+    }
+  } catch (err) {
+    // graphql-upload stops the stream itself once maxFileSize is passed
+    if (err.status === 413) size = MAX_PHOTO_BYTES + 1;
+    else throw err;
+  }
+  if (size > MAX_PHOTO_BYTES)
+    throw badInput(`"${fieldName}" is too big — photos can be ${MAX_PHOTO_BYTES / 1024 / 1024}MB at most.`);
+  if (size === 0) throw badInput(`"${fieldName}" is empty.`);
+
+  return processPhoto(Buffer.concat(chunks), { fieldName });
+};
+
+module.exports = { graphqlUploads, readPhotoUpload, PREFLIGHT_HEADERS };
@@ -0,0 +1,120 @@
+// models/AuditLog.js
+// v1.0.0
+//
+// One row per change: who did it, what they did, where it came from (GraphQL, a REST
+// route, or one of the background jobs) and the before / after value of every field that changed.
+//
+// Every mutation and every REST route that writes something adds a row through the
+// helpers in utils/audit.js. Admins read them back with employeeHistory(eid) and auditLog.
+//
+// Unlike LoginAttempt there's no TTL here — an audit trail that quietly deletes itself
+// isn't much of an audit trail. Rows for purged employees stay too.
+
+const mongoose = require("mongoose");
+const logger   = require("../utils/logger");
+
+const SOURCES      = ["graphql", "rest", "system"];
+const ENTITY_TYPES = ["employee", "department", "user", "session", "photo", "webhook"];
+
+const changeSchema = new mongoose.Schema(
+  {
+    field:  { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after:  { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // null for things done without a login (signup, password reset links...) and for the jobs
+    actor: {
+      type:    mongoose.Schema.Types.ObjectId,
+      ref:     "User",
+      default: null,
+    },
+
+    // copied in so the row still makes sense after the user is gone or renamed
+    actor_username: {
+      type:    String,
+      default: null,
+    },
+
+    actor_role: {
+      type:    String,
+      default: null,
+    },
+
+    // "<entity>.<verb>" — employee.create, employee.update, department.delete, user.role_change...
+    operation: {
+      type:     String,
+      required: true,
+      trim:     true,
+    },
+
+    entity_type: {
+      type:     String,
+      required: true,
+      enum:     ENTITY_TYPES,
+    },
+
+    entity_id: {
+      type:    mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    source: {
+      type:     String,
+      required: true,
+      enum:     SOURCES,
+    },
+
+    // the mutation name, "PUT /api/employees/:eid/photo" for REST, or the job name
+    route: {
+      type:    String,
+      default: null,
+    },
+
+    changes: {
+      type:    [changeSchema],
+      default: [],
+    },
+
+    ip: {
+      type:    String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ entity_type: 1, entity_id: 1, created_at: -1 });
+auditLogSchema.index({ actor: 1, created_at: -1 });
+auditLogSchema.index({ operation: 1, created_at: -1 });
+auditLogSchema.index({ created_at: -1, _id: -1 });
+
+// writes one row — never throws, a logging hiccup shouldn't undo a change that already happened
+auditLogSchema.statics.record = async function ({
+  actor, req, source, route, operation, entityType, entityId, changes = [],
+}) {
+  try {
+    await this.create({
+      actor:          actor?._id || null,
+      actor_username: actor?.username || null,
+      actor_role:     actor?.role || null,
+      operation,
+      entity_type:    entityType,
+      entity_id:      entityId || null,
+      source,
+      route:          route || null,
+      changes,
+      ip:             req?.ip || null,
+    });
+  } catch (err) {
+    logger.error(`Couldn't write audit log for ${operation} (${entityId}): ${err.message}`);
+  }
+};
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
\ No newline at end of file
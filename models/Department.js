@@ -0,0 +1,85 @@
+// models/Department.js
+// v1.0.0
+//
+// Departments used to be a free-text string on each employee, which meant
+// "Engineering", "engineering " and "Eng" all ended up as different departments.
+// Now they live here and employees point at them by _id.
+//
+//   code — short unique handle, always uppercase (e.g. ENG, HR, PROD)
+//   name — unique, case-insensitively ("Engineering" and "engineering" clash)
+//   head — optional employee in charge of the department
+//
+// A department that still has employees can't be deleted — see deleteDepartment.
+
+const mongoose = require("mongoose");
+
+// case-insensitive comparison for name lookups and the unique index
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+const departmentSchema = new mongoose.Schema(
+  {
+    code: {
+      type:      String,
+      required:  [true, "Department code is required."],
+      unique:    true,
+      uppercase: true,
+      trim:      true,
+      match: [
+        /^[A-Z0-9_]{2,10}$/,
+        "Department code has to be 2–10 letters, numbers or underscores.",
+      ],
+    },
+
+    name: {
+      type:      String,
+      required:  [true, "Department name is required."],
+      trim:      true,
+      minlength: [2,   "Department name needs at least 2 characters."],
+      maxlength: [100, "Department name can't exceed 100 characters."],
+    },
+
+    description: {
+      type:      String,
+      trim:      true,
+      maxlength: [500, "Description can't exceed 500 characters."],
+      default:   null,
+    },
+
+    head: {
+      type:    mongoose.Schema.Types.ObjectId,
+      ref:     "Employee",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+departmentSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+// collapses runs of spaces so "Human   Resources " and "Human Resources" are the same name
+departmentSchema.pre("validate", function (next) {
+  if (this.name) this.name = this.name.replace(/\s+/g, " ").trim();
+  next();
+});
+
+// employees carry a copy of the name and code for search (models/Employee.js) — renames go out to them
+departmentSchema.pre("save", function () {
+  this.$locals.renamed = !this.isNew && (this.isModified("name") || this.isModified("code"));
+});
+
+departmentSchema.post("save", async function (department) {
+  if (!department.$locals.renamed) return;
+  await mongoose.model("Employee").updateMany(
+    { department: department._id },
+    { $set: { department_name: department.name, department_code: department.code } }
+  );
+});
+
+// case-insensitive exact name lookup
+departmentSchema.statics.findByName = function (name) {
+  return this.findOne({ name: String(name).replace(/\s+/g, " ").trim() }).collation(NAME_COLLATION);
+};
+
+module.exports = mongoose.model("Department", departmentSchema);
@@ -1,9 +1,20 @@
 // models/Employee.js
-// v3.0.0
+// v3.2.0
 //
 // Employee model — stores everything the assignment spec asks for.
-// Added a text index so searching by designation / department is fast,
+// Added a text index so searching by name / designation is fast,
 // and a virtual "full_name" field so we don't have to concatenate in every resolver.
+//
+// department is a reference to a Department document (models/Department.js).
+// Older databases stored it as a plain string — run `npm run migrate:departments` once.
+// department_name / department_code are copies of the department's, kept in sync by the hooks
+// below (and by Department renames), so the text index can search on them.
+//
+// Deleting is a soft delete: deleted_at / deleted_by get set and the row drops out of
+// every find / count / aggregate automatically (see the hooks at the bottom). To look
+// at deleted rows anyway, either mention deleted_at in the filter yourself or pass the
+// { withDeleted: true } query option. They're only really removed by the purge job
+// (utils/purgeJob.js) once they're older than EMPLOYEE_RETENTION_DAYS.
 
 const mongoose  = require("mongoose");
 const validator = require("validator");
@@ -66,17 +77,68 @@ const employeeSchema = new mongoose.Schema(
     },
 
     department: {
-      type:      String,
-      required:  [true, "Department is required."],
-      trim:      true,
-      maxlength: [100, "Department name can't exceed 100 characters."],
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      "Department",
+      required: [true, "Department is required."],
+    },
+
+    // copied from the department — only here for the text index, never set these by hand
+    department_name: {
+      type:    String,
+      default: null,
     },
 
-    // URL returned by Cloudinary after uploading via POST /api/upload
+    department_code: {
+      type:    String,
+      default: null,
+    },
+
+    // who they report to — null for the people at the top of the org chart
+    manager: {
+      type:    mongoose.Schema.Types.ObjectId,
+      ref:     "Employee",
+      default: null,
+    },
+
+    // photo URL (the 400x400 rendition) from POST /api/upload or an upload (see utils/photoStorage.js)
     employee_photo: {
       type:    String,
       default: null,
     },
+
+    // the storage key behind employee_photo, so the old photo can be deleted when it's
+    // replaced or the employee is purged — null for photos that aren't in our storage
+    photo_public_id: {
+      type:    String,
+      default: null,
+      index:   true,
+    },
+
+    // URLs of every size of the photo (utils/photoProcessing.js) — employee_photo is the medium
+    // one. null for photos stored before there were renditions and for pasted-in URLs.
+    photo_renditions: {
+      type: new mongoose.Schema(
+        {
+          thumbnail: String,
+          medium:    String,
+          original:  String,
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    // soft delete — both null while the employee is active
+    deleted_at: {
+      type:    Date,
+      default: null,
+    },
+
+    deleted_by: {
+      type:    mongoose.Schema.Types.ObjectId,
+      ref:     "User",
+      default: null,
+    },
   },
   {
     timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
@@ -90,10 +152,24 @@ employeeSchema.index({ department: 1 });
 employeeSchema.index({ designation: 1 });
 employeeSchema.index({ email: 1 });
 
-// text index lets us do case-insensitive substring searches easily
+// directReports / orgChart look people up by manager
+employeeSchema.index({ manager: 1 });
+
+// deletedEmployees lists newest deletions first, the purge job looks for old ones
+employeeSchema.index({ deleted_at: -1 });
+
+// typeahead sorts by name
+employeeSchema.index({ first_name: 1, last_name: 1 });
+
+// cursor pagination walks this index (newest first, _id breaks ties) — see utils/pagination.js
+employeeSchema.index({ created_at: -1, _id: -1 });
+
+// text index powers searchEmployees (ranked full-text search) — see utils/employeeSearch.js.
+// A new name, not employee_text_index: that one had other keys, and Mongo only allows one
+// text index per collection — ensureSearchIndex() swaps the old one out on startup.
 employeeSchema.index(
-  { first_name: "text", last_name: "text", designation: "text", department: "text" },
-  { name: "employee_text_index" }
+  { first_name: "text", last_name: "text", designation: "text", department_name: "text", department_code: "text" },
+  { name: "employee_search_text_index" }
 );
 
 // virtual — just saves us writing `first_name + " " + last_name` every time
@@ -101,4 +177,85 @@ employeeSchema.virtual("full_name").get(function () {
   return `${this.first_name} ${this.last_name}`;
 });
 
+employeeSchema.virtual("is_deleted").get(function () {
+  return this.deleted_at != null;
+});
+
+// ─── Department copies for search ─────────────────────────────────────────────
+// Department is looked up through mongoose.model() — it doesn't need to know about us the other way round
+
+const departmentSearchFields = async (departmentId) => {
+  if (!departmentId) return { department_name: null, department_code: null };
+  const department = await mongoose.model("Department").findById(departmentId).select("name code").lean();
+  return { department_name: department?.name ?? null, department_code: department?.code ?? null };
+};
+
+employeeSchema.pre("save", async function () {
+  if (!this.isNew && !this.isModified("department")) return;
+  Object.assign(this, await departmentSearchFields(this.department));
+});
+
+employeeSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], async function () {
+  const update     = this.getUpdate() || {};
+  const department = update.$set?.department !== undefined ? update.$set.department : update.department;
+  if (department === undefined) return;
+  this.set(await departmentSearchFields(department));
+});
+
+employeeSchema.pre("insertMany", async function (next, docs) {
+  const list = Array.isArray(docs) ? docs : [docs];
+  const ids  = [...new Set(list.map((d) => d.department).filter(Boolean).map(String))];
+  const departments = await mongoose.model("Department").find({ _id: { $in: ids } }).select("name code").lean();
+  const byId = new Map(departments.map((d) => [String(d._id), d]));
+
+  list.forEach((doc) => {
+    const department    = byId.get(String(doc.department));
+    doc.department_name = department?.name ?? null;
+    doc.department_code = department?.code ?? null;
+  });
+  next();
+});
+
+// ─── Hide soft-deleted rows ───────────────────────────────────────────────────
+// Updates and deletes aren't filtered on purpose — restore and the purge job need to reach
+// deleted rows, and findOneAndUpdate (which is filtered) covers the normal update path.
+const ACTIVE_ONLY = { deleted_at: null };
+
+const wantsDeleted = (query) =>
+  query.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(query.getFilter(), "deleted_at");
+
+employeeSchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments", "distinct"],
+  function () {
+    if (!wantsDeleted(this)) this.where(ACTIVE_ONLY);
+  }
+);
+
+employeeSchema.pre("aggregate", function () {
+  const pipeline = this.pipeline();
+  const first    = pipeline[0]?.$match;
+  if (this.options.withDeleted || (first && "deleted_at" in first)) return;
+  pipeline.unshift({ $match: ACTIVE_ONLY });
+});
+
+// email lookup that also sees deleted rows — the unique index does, so duplicate checks have to as well
+employeeSchema.statics.findByEmail = function (email, exceptId = null) {
+  const query = { email: String(email).toLowerCase().trim() };
+  if (exceptId) query._id = { $ne: exceptId };
+  return this.findOne(query).setOptions({ withDeleted: true });
+};
+
+// the mark itself — the resolver takes care of reports and department heads
+employeeSchema.methods.softDelete = function (userId) {
+  this.deleted_at = new Date();
+  this.deleted_by = userId || null;
+  return this.save();
+};
+
+employeeSchema.methods.restore = function () {
+  this.deleted_at = null;
+  this.deleted_by = null;
+  return this.save();
+};
+
 module.exports = mongoose.model("Employee", employeeSchema);
\ No newline at end of file
@@ -0,0 +1,91 @@
+// models/LoginAttempt.js
+// v1.0.0
+//
+// A row for every login attempt, good or bad. Two jobs:
+//   1. per-IP throttling — too many failures from one IP and that IP gets blocked for a while,
+//      no matter which accounts it's trying
+//   2. an audit trail admins can query (loginAttempts in the GraphQL schema)
+//
+// Old rows clean themselves up after LOGIN_ATTEMPT_RETENTION_DAYS.
+
+const mongoose = require("mongoose");
+const logger   = require("../utils/logger");
+
+const LOGIN_IP_MAX_FAILURES        = parseInt(process.env.LOGIN_IP_MAX_FAILURES        || "20", 10);
+const LOGIN_IP_WINDOW_MINUTES      = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES      || "15", 10);
+const LOGIN_ATTEMPT_RETENTION_DAYS = parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS || "90", 10);
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // whatever they typed in — kept even when it doesn't match a user
+    username_or_email: {
+      type:     String,
+      required: true,
+      trim:     true,
+    },
+
+    // null when no account matched
+    user: {
+      type:    mongoose.Schema.Types.ObjectId,
+      ref:     "User",
+      default: null,
+    },
+
+    ip: {
+      type:    String,
+      default: null,
+    },
+
+    user_agent: {
+      type:    String,
+      default: null,
+    },
+
+    success: {
+      type:     Boolean,
+      required: true,
+    },
+
+    // why it failed: bad_credentials, locked, throttled, ip_blocked, inactive
+    reason: {
+      type:    String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: false },
+  }
+);
+
+loginAttemptSchema.index({ ip: 1, success: 1, created_at: -1 });
+loginAttemptSchema.index({ user: 1, created_at: -1 });
+loginAttemptSchema.index(
+  { created_at: 1 },
+  { expireAfterSeconds: LOGIN_ATTEMPT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// writes one row — never throws, a logging hiccup shouldn't break login
+loginAttemptSchema.statics.record = async function ({ usernameOrEmail, user, req, success, reason }) {
+  try {
+    await this.create({
+      username_or_email: String(usernameOrEmail).slice(0, 200),
+      user:              user?._id || null,
+      ip:                req?.ip || null,
+      user_agent:        String(req?.headers?.["user-agent"] || "").slice(0, 200) || null,
+      success,
+      reason:            reason || null,
+    });
+  } catch (err) {
+    logger.warn(`Couldn't record login attempt: ${err.message}`);
+  }
+};
+
+// true when this IP has failed too many times inside the window
+loginAttemptSchema.statics.isIpBlocked = async function (ip) {
+  if (!ip) return false;
+  const since    = new Date(Date.now() - LOGIN_IP_WINDOW_MINUTES * 60 * 1000);
+  const failures = await this.countDocuments({ ip, success: false, created_at: { $gte: since } });
+  return failures >= LOGIN_IP_MAX_FAILURES;
+};
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
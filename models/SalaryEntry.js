@@ -0,0 +1,91 @@
+// models/SalaryEntry.js
+// v1.0.0
+//
+// Compensation history — one row per salary change, with the date it takes effect,
+// why it happened and who entered it. Rows are never edited; a correction is just
+// another entry.
+//
+// Employee.salary is a copy of whichever entry is in effect right now (see
+// utils/compensation.js). It's kept on the employee so filters, sorting and analytics
+// don't need a join. Entries dated in the future start with applied = false and the
+// salary job flips them over once their day comes.
+
+const mongoose = require("mongoose");
+
+const salaryEntrySchema = new mongoose.Schema(
+  {
+    employee: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      "Employee",
+      required: true,
+    },
+
+    amount: {
+      type:     Number,
+      required: [true, "Salary is required."],
+      min:      [1000, "Salary has to be at least $1,000."],
+    },
+
+    effective_date: {
+      type:     Date,
+      required: [true, "Effective date is required."],
+    },
+
+    reason: {
+      type:      String,
+      required:  [true, "A reason is required."],
+      trim:      true,
+      maxlength: [500, "Reason can't exceed 500 characters."],
+    },
+
+    // null for entries the system made itself (e.g. the baseline for older employees)
+    author: {
+      type:    mongoose.Schema.Types.ObjectId,
+      ref:     "User",
+      default: null,
+    },
+
+    author_username: {
+      type:    String,
+      default: null,
+    },
+
+    // false until effective_date has passed and Employee.salary has been updated to match
+    applied: {
+      type:    Boolean,
+      default: false,
+    },
+
+    // true for an employee's first entry (starting salary or the baseline for older employees) —
+    // there can only be one, see the index below
+    starting: {
+      type:    Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: false },
+  }
+);
+
+// history for one employee, newest effective date first
+salaryEntrySchema.index({ employee: 1, effective_date: -1, created_at: -1 });
+
+// the salary job looks for entries that are due but not applied yet
+salaryEntrySchema.index({ applied: 1, effective_date: 1 });
+
+// one starting entry per employee — two changeSalary calls racing on an older employee
+// can't both create a baseline
+salaryEntrySchema.index(
+  { employee: 1 },
+  { unique: true, partialFilterExpression: { starting: true }, name: "one_starting_entry_per_employee" }
+);
+
+// the entry in effect on `date` — the latest one that had started by then.
+// Two entries on the same day? The one entered last wins.
+salaryEntrySchema.statics.effectiveOn = function (employeeId, date = new Date()) {
+  return this.findOne({ employee: employeeId, effective_date: { $lte: date } })
+    .sort({ effective_date: -1, created_at: -1 });
+};
+
+module.exports = mongoose.model("SalaryEntry", salaryEntrySchema);
\ No newline at end of file
@@ -0,0 +1,186 @@
+// models/Session.js
+// v1.0.0
+//
+// One document per login. Holds the (hashed) refresh token for that login plus
+// a bit of info about where it came from so users can see and revoke their sessions.
+//
+// Refresh tokens are random strings — we only ever store a SHA-256 of them,
+// so a leaked database dump can't be used to mint new access tokens.
+// Every refresh rotates the token: the old one stops working immediately.
+// The swap is a single conditional update, so two refreshes racing with the same token
+// can't both win. A token that's used again after it was rotated means two parties have
+// it — somebody stole it — so the whole session is revoked (reuse detection). That works
+// for any of the last RETIRED_TOKENS_KEPT tokens, not just the one right before the current.
+
+const crypto   = require("crypto");
+const mongoose = require("mongoose");
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10);
+
+// how often last_used_at gets bumped — no point writing to the DB on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// how many rotated-out token hashes a session remembers for reuse detection. At one refresh
+// per 15-minute access token that's a day of constant use; 100 hashes is ~6.5KB a session.
+const RETIRED_TOKENS_KEPT = 100;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const newToken  = () => crypto.randomBytes(48).toString("hex");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      "User",
+      required: true,
+    },
+
+    refresh_token_hash: {
+      type:     String,
+      required: true,
+      unique:   true,
+      select:   false,
+    },
+
+    // the tokens this one replaced, oldest first — presenting one again is how we spot a stolen token
+    retired_refresh_token_hashes: {
+      type:    [String],
+      default: [],
+      index:   true,
+      select:  false,
+    },
+
+    // user-agent string, trimmed so nobody can stuff a novel in there
+    device: {
+      type:    String,
+      default: "Unknown device",
+    },
+
+    ip: {
+      type:    String,
+      default: null,
+    },
+
+    last_used_at: {
+      type:    Date,
+      default: Date.now,
+    },
+
+    expires_at: {
+      type:     Date,
+      required: true,
+    },
+
+    // null while the session is alive
+    revoked_at: {
+      type:    Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+sessionSchema.index({ user: 1, revoked_at: 1 });
+
+// Mongo removes sessions on its own once they've expired
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+// bumps last_used_at, but at most once a minute
+sessionSchema.methods.touch = async function () {
+  if (Date.now() - this.last_used_at.getTime() < LAST_USED_RESOLUTION_MS) return;
+  this.last_used_at = new Date();
+  await this.save();
+};
+
+sessionSchema.methods.revoke = async function () {
+  if (this.revoked_at) return;
+  this.revoked_at = new Date();
+  await this.save();
+};
+
+// swaps the refresh token the client presented for a fresh one and pushes the expiry out again.
+// Returns the new plain-text token — this is the only time it's ever visible — or null if
+// the presented token was no longer the current one (someone else rotated it first), in
+// which case the session has been revoked.
+sessionSchema.methods.rotate = async function (presentedToken, req) {
+  const refreshToken = newToken();
+  const oldHash      = hashToken(String(presentedToken));
+  const update       = {
+    refresh_token_hash: hashToken(refreshToken),
+    expires_at:         new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    last_used_at:       new Date(),
+    ...(req?.ip && { ip: req.ip }),
+  };
+
+  // only swaps if the token is still the current one and the session is still alive
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refresh_token_hash: oldHash, revoked_at: null, expires_at: { $gt: new Date() } },
+    {
+      $set:  update,
+      $push: { retired_refresh_token_hashes: { $each: [oldHash], $slice: -RETIRED_TOKENS_KEPT } },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await this.constructor.updateOne({ _id: this._id, revoked_at: null }, { $set: { revoked_at: new Date() } });
+    this.revoked_at = new Date();
+    return null;
+  }
+
+  this.expires_at   = rotated.expires_at;
+  this.last_used_at = rotated.last_used_at;
+  this.ip           = rotated.ip;
+  return refreshToken;
+};
+
+// starts a new session for a user that just logged in
+// returns { session, refreshToken }
+sessionSchema.statics.issue = async function (user, req) {
+  const refreshToken = newToken();
+  const session      = await this.create({
+    user:               user._id,
+    refresh_token_hash: hashToken(refreshToken),
+    device:             String(req?.headers?.["user-agent"] || "Unknown device").slice(0, 200),
+    ip:                 req?.ip || null,
+    expires_at:         new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return { session, refreshToken };
+};
+
+sessionSchema.statics.findByRefreshToken = function (refreshToken) {
+  return this.findOne({ refresh_token_hash: hashToken(String(refreshToken)) });
+};
+
+// the session a refresh token USED to belong to, before it was rotated (any of the last
+// RETIRED_TOKENS_KEPT rotations)
+sessionSchema.statics.findByRetiredRefreshToken = function (refreshToken) {
+  return this.findOne({ retired_refresh_token_hashes: hashToken(String(refreshToken)) });
+};
+
+// every session that hasn't been revoked or expired yet, most recently used first
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user:       userId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() },
+  }).sort({ last_used_at: -1 });
+};
+
+// kills every live session for a user — returns how many were revoked.
+// Pass { except: sessionId } to keep one alive (e.g. the one changing the password).
+sessionSchema.statics.revokeAllForUser = async function (userId, { except } = {}) {
+  const query = { user: userId, revoked_at: null };
+  if (except) query._id = { $ne: except };
+
+  const result = await this.updateMany(query, { $set: { revoked_at: new Date() } });
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,15 +1,26 @@
 // models/User.js
-// v3.0.0
+// v3.1.0
 //
 // User model for authentication.
 // Passwords are hashed with bcrypt (12 rounds) before saving.
 // The password field is excluded from query results by default
 // — you have to explicitly request it with .select("+password").
+//
+// Brute-force protection: every wrong password bumps failed_login_attempts.
+// From the 2nd failure on, the next attempt has to wait (1s, 2s, 4s, ...) and after
+// LOGIN_MAX_ATTEMPTS failures the account is locked for LOGIN_LOCK_MINUTES.
+// A successful login or an admin unlock resets everything.
+// The counter is bumped with $inc, not read-add-save, so a burst of parallel guesses
+// (aliased login fields, concurrent requests) each counts — none of them overwrite the others.
 
 const mongoose = require("mongoose");
 const bcrypt   = require("bcryptjs");
 const validator = require("validator");
 
+const LOGIN_MAX_ATTEMPTS  = parseInt(process.env.LOGIN_MAX_ATTEMPTS  || "5",  10);
+const LOGIN_LOCK_MINUTES  = parseInt(process.env.LOGIN_LOCK_MINUTES  || "15", 10);
+const LOGIN_BASE_DELAY_MS = 1000;
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -45,10 +56,56 @@ const userSchema = new mongoose.Schema(
       select:    false, // hidden by default
     },
 
+    // admin  — full access, including managing other users
+    // hr     — can read everything about employees
+    // viewer — read-only, what every new signup starts as
+    role: {
+      type:    String,
+      default: "viewer",
+      enum: {
+        values:  ["admin", "hr", "viewer"],
+        message: "Role must be admin, hr, or viewer.",
+      },
+    },
+
     is_active: {
       type:    Boolean,
       default: true,
     },
+
+    // flipped by the verifyEmail mutation (link is emailed on signup)
+    email_verified: {
+      type:    Boolean,
+      default: false,
+    },
+
+    email_verified_at: {
+      type:    Date,
+      default: null,
+    },
+
+    // set whenever the password changes after signup
+    password_changed_at: {
+      type:    Date,
+      default: null,
+    },
+
+    // ── login throttling — see the methods further down ──
+    failed_login_attempts: {
+      type:    Number,
+      default: 0,
+    },
+
+    last_failed_login_at: {
+      type:    Date,
+      default: null,
+    },
+
+    // set when the account gets locked out, null otherwise
+    lock_until: {
+      type:    Date,
+      default: null,
+    },
   },
   {
     timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
@@ -63,6 +120,7 @@ userSchema.index({ email: 1 });
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   this.password = await bcrypt.hash(this.password, 12);
+  if (!this.isNew) this.password_changed_at = new Date();
   next();
 });
 
@@ -71,6 +129,59 @@ userSchema.methods.comparePassword = function (candidate) {
   return bcrypt.compare(candidate, this.password);
 };
 
+// true while a lockout is in effect
+userSchema.methods.isLocked = function () {
+  return !!this.lock_until && this.lock_until > new Date();
+};
+
+// progressive delay: how many ms they still have to wait before trying again (0 = go ahead)
+userSchema.methods.retryAfterMs = function () {
+  if (this.isLocked()) return this.lock_until.getTime() - Date.now();
+  if (this.failed_login_attempts < 2 || !this.last_failed_login_at) return 0;
+
+  const delay   = LOGIN_BASE_DELAY_MS * 2 ** (this.failed_login_attempts - 2);
+  const elapsed = Date.now() - this.last_failed_login_at.getTime();
+  return Math.max(0, delay - elapsed);
+};
+
+// call after a wrong password — locks the account once they hit LOGIN_MAX_ATTEMPTS.
+// Every step is a single atomic update, so parallel failures all count.
+userSchema.methods.registerFailedLogin = async function () {
+  const User = this.constructor;
+  const now  = new Date();
+
+  // an old lockout that already ran out? start counting from scratch
+  await User.updateOne(
+    { _id: this._id, lock_until: { $ne: null, $lte: now } },
+    { $set: { failed_login_attempts: 0, lock_until: null } }
+  );
+
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failed_login_attempts: 1 }, $set: { last_failed_login_at: now } },
+    { new: true }
+  );
+  if (!updated) return;
+
+  this.failed_login_attempts = updated.failed_login_attempts;
+  this.last_failed_login_at  = updated.last_failed_login_at;
+  this.lock_until            = updated.lock_until;
+
+  if (updated.failed_login_attempts >= LOGIN_MAX_ATTEMPTS && !updated.isLocked()) {
+    this.lock_until = new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000);
+    await User.updateOne({ _id: this._id }, { $set: { lock_until: this.lock_until } });
+  }
+};
+
+// call after a good login, or when an admin unlocks the account
+userSchema.methods.resetLoginAttempts = async function () {
+  if (this.failed_login_attempts === 0 && !this.lock_until) return;
+  this.failed_login_attempts = 0;
+  this.last_failed_login_at  = null;
+  this.lock_until            = null;
+  await this.save();
+};
+
 // find a user by username OR email in one call
 userSchema.statics.findByCredential = function (usernameOrEmail) {
   return this.findOne({
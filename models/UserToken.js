@@ -0,0 +1,93 @@
+// models/UserToken.js
+// v1.0.0
+//
+// Single-use tokens that get emailed to users:
+//   password_reset      — lets them set a new password without knowing the old one
+//   email_verification  — proves they own the email they signed up with
+//
+// Like refresh tokens, only a SHA-256 of the token is stored. A token works once,
+// then used_at is set and it's dead. Issuing a new token of the same type kills
+// any older ones still lying around, so only the latest email works.
+
+const crypto   = require("crypto");
+const mongoose = require("mongoose");
+
+const TOKEN_TYPES = ["password_reset", "email_verification"];
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      "User",
+      required: true,
+    },
+
+    type: {
+      type:     String,
+      required: true,
+      enum:     TOKEN_TYPES,
+    },
+
+    token_hash: {
+      type:     String,
+      required: true,
+      unique:   true,
+    },
+
+    expires_at: {
+      type:     Date,
+      required: true,
+    },
+
+    // null until the token is redeemed
+    used_at: {
+      type:    Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: false },
+  }
+);
+
+userTokenSchema.index({ user: 1, type: 1 });
+
+// Mongo clears out expired tokens by itself
+userTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// creates a token and returns the plain-text version (only time it's visible)
+userTokenSchema.statics.issue = async function (user, type, ttlMs) {
+  // older unused tokens of the same type stop working
+  await this.updateMany(
+    { user: user._id, type, used_at: null },
+    { $set: { used_at: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await this.create({
+    user:       user._id,
+    type,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// marks the token as used and returns it — null if it's wrong, expired, or already used.
+// Done in one atomic update so two requests racing with the same token can't both win.
+userTokenSchema.statics.consume = function (token, type) {
+  return this.findOneAndUpdate(
+    {
+      token_hash: hashToken(String(token)),
+      type,
+      used_at:    null,
+      expires_at: { $gt: new Date() },
+    },
+    { $set: { used_at: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
@@ -0,0 +1,69 @@
+// models/Webhook.js
+// v1.0.0
+//
+// An outgoing webhook: a URL that gets a signed POST whenever one of its events happens.
+// Registered by admins (registerWebhook) — payroll, IT provisioning and so on.
+//
+// The secret has to be stored as-is (it's what we sign with, so it can't be hashed like
+// refresh tokens). It's select: false so it never comes back from a normal query, and
+// the API only shows it once, when the webhook is registered.
+//
+// Deliveries are in models/WebhookDelivery.js, the sending in utils/webhooks.js.
+
+const crypto   = require("crypto");
+const mongoose = require("mongoose");
+
+const EVENTS = ["employee_created", "employee_updated", "employee_deleted"];
+
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type:     String,
+      required: [true, "URL is required"],
+      trim:     true,
+    },
+
+    events: {
+      type:     [{ type: String, enum: EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message:   "Pick at least one event",
+      },
+    },
+
+    description: {
+      type:      String,
+      trim:      true,
+      maxlength: [200, "Description can't be longer than 200 characters"],
+      default:   null,
+    },
+
+    secret: {
+      type:     String,
+      required: true,
+      select:   false,
+    },
+
+    // switched off webhooks keep their settings and log, they just don't get anything
+    is_active: {
+      type:    Boolean,
+      default: true,
+    },
+
+    created_by: {
+      type:    mongoose.Schema.Types.ObjectId,
+      ref:     "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+webhookSchema.index({ events: 1, is_active: 1 });
+
+// whsec_ + 48 hex chars — the prefix makes it easy to spot in a config file
+webhookSchema.statics.generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+module.exports = mongoose.model("Webhook", webhookSchema);
\ No newline at end of file
@@ -0,0 +1,87 @@
+// models/WebhookDelivery.js
+// v1.0.0
+//
+// One event sent (or being sent) to one webhook, with every attempt logged.
+//
+//   pending   — waiting for its first try or a retry (next_attempt_at says when)
+//   succeeded — the receiver answered 2xx
+//   failed    — out of attempts, or the webhook was removed / switched off
+//
+// The payload is stored exactly as it goes out so retries and redeliverWebhook send the
+// same thing. A redelivery is a new row pointing back at the original (redelivery_of).
+
+const mongoose = require("mongoose");
+
+const STATUSES = ["pending", "succeeded", "failed"];
+
+const attemptSchema = new mongoose.Schema(
+  {
+    at:            { type: Date, required: true },
+    response_code: { type: Number, default: null },   // null when there was no response at all
+    error:         { type: String, default: null },
+    duration_ms:   { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      "Webhook",
+      required: true,
+    },
+
+    event: {
+      type:     String,
+      required: true,
+    },
+
+    payload: {
+      type:     mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    status: {
+      type:    String,
+      enum:    STATUSES,
+      default: "pending",
+    },
+
+    // also works as a lease: whoever picks the delivery up pushes it forward first,
+    // so the retry job and an immediate send never both take it
+    next_attempt_at: {
+      type:    Date,
+      default: Date.now,
+    },
+
+    attempts: {
+      type:    [attemptSchema],
+      default: [],
+    },
+
+    // from the latest attempt — kept short, it's for debugging, not archiving
+    response_code: { type: Number, default: null },
+    response_body: { type: String, default: null },
+    error:         { type: String, default: null },
+
+    delivered_at: {
+      type:    Date,
+      default: null,
+    },
+
+    redelivery_of: {
+      type:    mongoose.Schema.Types.ObjectId,
+      ref:     "WebhookDelivery",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ webhook: 1, created_at: -1, _id: -1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
\ No newline at end of file
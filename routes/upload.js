@@ -1,10 +1,10 @@
 // routes/upload.js
 // v4.0.0
 //
-// Three endpoints:
+// Photo endpoints:
 //
 //   POST /api/upload
-//     — just uploads a photo to Cloudinary and returns the URL
+//     — just uploads a photo and returns the URL
 //     — use this URL in the addEmployee / updateEmployee GraphQL mutations
 //
 //   POST /api/employees/photo
@@ -14,35 +14,64 @@
 //   PUT /api/employees/:eid/photo
 //     — uploads photo + updates employee in ONE request
 //     — send everything as multipart/form-data
+//
+// Photos are held in memory by multer and only stored (Cloudinary, local disk or S3 —
+// see utils/photoStorage.js) once the rest of the request checks out. Before that they're
+// checked by content, not just the mimetype the client claims, and cut into a thumbnail,
+// medium and original (utils/photoProcessing.js) — a file that fails is a 400.
+//
+// Bulk import:
+//
+//   POST /api/employees/import?mode=dry-run|commit
+//     — CSV file in a field called "file", one employee per row
+//     — returns a report for every row; commit inserts them all (or nothing)
+//
+// Export (any logged-in role):
+//
+//   GET /api/employees/export?format=csv|json|ndjson&columns=full_name,email&filter={...}
+//     — streams every matching employee; see utils/employeeExport.js
+//
+// Everything that changes data (upload, create, update, import) is admin-only (see WRITE_ROLES
+// in middleware/auth.js), and each one writes an AuditLog row (utils/audit.js) with source "rest".
+// Creates, updates and imports also go out to the GraphQL subscriptions (utils/pubsub.js)
+// and to any registered webhooks (utils/webhooks.js), and clear the GraphQL response cache
+// (utils/responseCache.js) once they've succeeded.
+//
+// Search endpoints (any logged-in role — same logic as the GraphQL queries):
+//
+//   GET /api/employees/search?q=engineer&limit=20
+//     — full-text search, best match first, each result has a score
+//
+//   GET /api/employees/typeahead?q=al%20jo&limit=10
+//     — as-you-type name matching for people-pickers
 
 const express    = require("express");
 const multer     = require("multer");
-const jwt        = require("jsonwebtoken");
-const { CloudinaryStorage } = require("multer-storage-cloudinary");
-const cloudinary = require("../config/cloudinary");
 const Employee   = require("../models/Employee");
-const User       = require("../models/User");
+const { resolveDepartment } = require("../utils/departments");
+const { validateManager }   = require("../utils/orgChart");
 const logger     = require("../utils/logger");
+const { diffFields, auditRest, EMPLOYEE_FIELDS } = require("../utils/audit");
+const { startHistory, addSalaryEntry } = require("../utils/compensation");
+const { importEmployees } = require("../utils/employeeImport");
+const { streamEmployees, parseColumns, parseFormat } = require("../utils/employeeExport");
+const { buildEmployeeFilter, coerceEmployeeFilter } = require("../utils/employeeFilter");
+const { textSearch, typeahead } = require("../utils/employeeSearch");
+const { savePhoto, releasePhoto, photoKeyFromUrl, PHOTO_TYPES, MAX_PHOTO_BYTES } = require("../utils/photoStorage");
+const { EVENTS, publishEmployee } = require("../utils/pubsub");
+const { WEBHOOK_EVENTS, emitWebhook } = require("../utils/webhooks");
+const { invalidateAfterWrite } = require("../utils/responseCache");
+const { protect, restrictTo, ALL_ROLES, WRITE_ROLES } = require("../middleware/auth");
 
 const router = express.Router();
 
-// ─── Cloudinary storage config ────────────────────────────────────────────────
-const storage = new CloudinaryStorage({
-  cloudinary,
-  params: async () => ({
-    folder:          "emp_mgmt/photos",
-    public_id:       `emp_${Date.now()}`,
-    allowed_formats: ["jpg", "jpeg", "png", "webp"],
-    transformation:  [
-      { width: 400, height: 400, crop: "fill", gravity: "face" },
-      { quality: "auto", fetch_format: "auto" },
-    ],
-  }),
-});
+// any write that goes through clears cached GraphQL responses
+router.use(invalidateAfterWrite);
 
+// ─── Photo upload config ──────────────────────────────────────────────────────
+// kept in memory until the request is valid, then handed to savePhoto()
 const fileFilter = (req, file, cb) => {
-  const allowed = ["image/jpeg", "image/png", "image/webp"];
-  if (allowed.includes(file.mimetype)) {
+  if (PHOTO_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error("Only JPEG, PNG, and WebP images are allowed."), false);
@@ -50,31 +79,22 @@ const fileFilter = (req, file, cb) => {
 };
 
 const upload = multer({
-  storage,
+  storage: multer.memoryStorage(),
   fileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max
+  limits: { fileSize: MAX_PHOTO_BYTES }, // 5MB max
 });
 
-// ─── Auth middleware for REST routes ─────────────────────────────────────────
-const protect = async (req, res, next) => {
-  const authHeader = req.headers.authorization || "";
-  if (!authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ success: false, message: "No token provided. Please login first." });
-  }
+// CSV imports stay in memory — they're parsed straight away and never stored
+const CSV_TYPES = ["text/csv", "application/csv", "application/vnd.ms-excel", "text/plain"];
 
-  const token = authHeader.slice(7).trim();
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user    = await User.findById(decoded.userId);
-    if (!user || !user.is_active) {
-      return res.status(401).json({ success: false, message: "Invalid or expired token." });
-    }
-    req.user = user;
-    next();
-  } catch (err) {
-    return res.status(401).json({ success: false, message: "Invalid or expired token." });
-  }
-};
+const csvUpload = multer({
+  storage:    multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (CSV_TYPES.includes(file.mimetype) || /\.csv$/i.test(file.originalname)) cb(null, true);
+    else cb(new Error("Only CSV files can be imported."), false);
+  },
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+});
 
 // ─── POST /api/upload ─────────────────────────────────────────────────────────
 // Just uploads a photo and returns the URL.
@@ -82,7 +102,7 @@ const protect = async (req, res, next) => {
 //
 // Body: multipart/form-data
 // Field: photo (image file)
-router.post("/", protect, upload.single("photo"), (req, res) => {
+router.post("/", protect, restrictTo(...WRITE_ROLES), upload.single("photo"), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({
       success: false,
@@ -90,13 +110,34 @@ router.post("/", protect, upload.single("photo"), (req, res) => {
     });
   }
 
-  logger.info(`Photo uploaded → ${req.file.path}`);
+  let photo;
+  try {
+    photo = await savePhoto(req.file);
+  } catch (err) {
+    // a file that isn't really an image is the client's problem, not ours
+    const status = err.extensions?.httpStatus || 500;
+    if (status === 500) logger.error(`Photo upload failed: ${err.message}`);
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? `Couldn't store the photo: ${err.message}` : err.message,
+    });
+  }
+
+  logger.info(`Photo uploaded → ${photo.url}`);
+
+  // not attached to anyone yet — the row just records who uploaded what
+  await auditRest(req, {
+    operation:  "photo.upload",
+    entityType: "photo",
+    changes:    [{ field: "url", before: null, after: photo.url }],
+  });
 
   return res.status(200).json({
     success:   true,
     message:   "Photo uploaded! Copy the URL and use it in your addEmployee mutation.",
-    url:       req.file.path,
-    public_id: req.file.filename,
+    url:       photo.url,
+    public_id: photo.key,
+    photo:     photo.renditions,
   });
 });
 
@@ -112,8 +153,9 @@ router.post("/", protect, upload.single("photo"), (req, res) => {
 //   designation    (text)
 //   salary         (text) — number >= 1000
 //   date_of_joining (text) — e.g. 2024-01-15
-//   department     (text)
-router.post("/employees/photo", protect, upload.single("photo"), async (req, res) => {
+//   department     (text) — department _id, code (e.g. ENG) or exact name
+//   manager        (text) — optional, employee _id of who they report to
+router.post("/employees/photo", protect, restrictTo(...WRITE_ROLES), upload.single("photo"), async (req, res) => {
   try {
     const {
       first_name, last_name, email,
@@ -139,14 +181,20 @@ router.post("/employees/photo", protect, upload.single("photo"), async (req, res
       return res.status(400).json({ success: false, message: "Salary must be at least $1,000." });
     }
 
-    // check duplicate email
-    const duplicate = await Employee.findOne({ email: email.toLowerCase().trim() });
-    if (duplicate) {
-      return res.status(409).json({ success: false, message: `An employee with email "${email}" already exists.` });
+    // check duplicate email — deleted-but-not-purged employees still own theirs
+    if (!(await emailIsFree(email, null, res))) return;
+
+    const dept = await findDepartment(department, res);
+    if (!dept) return;
+
+    let manager = null;
+    if (req.body.manager) {
+      manager = await findManager(null, req.body.manager, res);
+      if (!manager) return;
     }
 
-    // photo URL from Cloudinary (null if no photo was attached)
-    const employee_photo = req.file ? req.file.path : null;
+    // everything checks out — now store the photo (null if none was attached)
+    const photo = req.file ? await savePhoto(req.file) : null;
 
     const employee = await Employee.create({
       first_name:      first_name.trim(),
@@ -156,10 +204,25 @@ router.post("/employees/photo", protect, upload.single("photo"), async (req, res
       designation:     designation.trim(),
       salary:          parseFloat(salary),
       date_of_joining: new Date(date_of_joining),
-      department:      department.trim(),
-      employee_photo,
+      department:      dept._id,
+      manager:         manager?._id ?? null,
+      employee_photo:   photo?.url ?? null,
+      photo_public_id:  photo?.key ?? null,
+      photo_renditions: photo?.renditions ?? null,
+    });
+
+    await startHistory(employee, { author: req.user });
+
+    await auditRest(req, {
+      operation:  "employee.create",
+      entityType: "employee",
+      entityId:   employee._id,
+      changes:    diffFields(null, employee, EMPLOYEE_FIELDS),
     });
 
+    await publishEmployee(EVENTS.EMPLOYEE_ADDED, employee._id);
+    await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_CREATED, employee._id);
+
     logger.info(`Employee created with photo: ${employee.first_name} ${employee.last_name}`);
 
     return res.status(201).json({
@@ -175,14 +238,17 @@ router.post("/employees/photo", protect, upload.single("photo"), async (req, res
         designation:     employee.designation,
         salary:          employee.salary,
         date_of_joining: employee.date_of_joining,
-        department:      employee.department,
+        department:      { _id: dept._id, code: dept.code, name: dept.name },
+        manager:         manager && { _id: manager._id, full_name: `${manager.first_name} ${manager.last_name}` },
         employee_photo:  employee.employee_photo,
+        photo:           employee.photo_renditions,
         created_at:      employee.created_at,
       },
     });
   } catch (err) {
-    logger.error("Error creating employee with photo:", err.message);
-    return res.status(500).json({ success: false, message: err.message });
+    const status = err.extensions?.httpStatus || 500;
+    if (status === 500) logger.error("Error creating employee with photo:", err.message);
+    return res.status(status).json({ success: false, message: err.message });
   }
 });
 
@@ -198,8 +264,9 @@ router.post("/employees/photo", protect, upload.single("photo"), async (req, res
 //   designation    (text)    — optional
 //   salary         (text)    — optional
 //   date_of_joining (text)   — optional
-//   department     (text)    — optional
-router.put("/employees/:eid/photo", protect, upload.single("photo"), async (req, res) => {
+//   department     (text)    — optional, department _id, code or exact name
+//   manager        (text)    — optional, employee _id — or the word "null" to clear it
+router.put("/employees/:eid/photo", protect, restrictTo(...WRITE_ROLES), upload.single("photo"), async (req, res) => {
   try {
     const { eid } = req.params;
 
@@ -213,11 +280,28 @@ router.put("/employees/:eid/photo", protect, upload.single("photo"), async (req,
       return res.status(404).json({ success: false, message: `Employee with ID "${eid}" not found.` });
     }
 
+    // same duplicate check as the create route, leaving this employee's own address out
+    if (req.body.email && !(await emailIsFree(req.body.email, eid, res))) return;
+
     // build update object from whatever was sent
     const updates = {};
-    const fields  = ["first_name", "last_name", "email", "gender", "designation", "department"];
+    const fields  = ["first_name", "last_name", "email", "gender", "designation"];
     fields.forEach((f) => { if (req.body[f]) updates[f] = req.body[f].trim(); });
 
+    if (req.body.department) {
+      const dept = await findDepartment(req.body.department, res);
+      if (!dept) return;
+      updates.department = dept._id;
+    }
+
+    if (req.body.manager === "null") {
+      updates.manager = null;
+    } else if (req.body.manager) {
+      const manager = await findManager(eid, req.body.manager, res);
+      if (!manager) return;
+      updates.manager = manager._id;
+    }
+
     if (req.body.salary) {
       if (parseFloat(req.body.salary) < 1000) {
         return res.status(400).json({ success: false, message: "Salary must be at least $1,000." });
@@ -233,21 +317,57 @@ router.put("/employees/:eid/photo", protect, upload.single("photo"), async (req,
       return res.status(400).json({ success: false, message: "Gender must be Male, Female, or Other." });
     }
 
-    // if a new photo was uploaded, use it — otherwise keep the old one
+    if (Object.keys(updates).length === 0 && !req.file) {
+      return res.status(400).json({ success: false, message: "Nothing to update — send at least one field." });
+    }
+
+    // if a new photo was uploaded, store it and use it — otherwise keep the old one.
+    // The old one is deleted from storage once the update has gone through.
+    let oldPhotoKey = null;
     if (req.file) {
-      updates.employee_photo = req.file.path;
-      logger.info(`New photo uploaded for employee ${eid}: ${req.file.path}`);
+      const photo = await savePhoto(req.file);
+      updates.employee_photo   = photo.url;
+      updates.photo_public_id  = photo.key;
+      updates.photo_renditions = photo.renditions;
+      oldPhotoKey = employee.photo_public_id || photoKeyFromUrl(employee.employee_photo);
+      logger.info(`New photo uploaded for employee ${eid}: ${updates.employee_photo}`);
     }
 
-    if (Object.keys(updates).length === 0) {
-      return res.status(400).json({ success: false, message: "Nothing to update — send at least one field." });
+    // salary goes into the compensation history (effective today) instead of being overwritten
+    const newSalary = updates.salary;
+    delete updates.salary;
+
+    if (Object.keys(updates).length > 0) {
+      await Employee.updateOne({ _id: eid }, { $set: updates }, { runValidators: true });
+    }
+    if (newSalary !== undefined && newSalary !== employee.salary) {
+      // re-read so a date_of_joining sent in the same request is taken into account
+      await addSalaryEntry(await Employee.findById(eid), {
+        amount: newSalary,
+        reason: "Updated with PUT /api/employees/:eid/photo",
+        author: req.user,
+      });
     }
 
-    const updated = await Employee.findByIdAndUpdate(
-      eid,
-      { $set: updates },
-      { new: true, runValidators: true }
-    );
+    const updated = await Employee.findById(eid)
+      .populate("department", "code name")
+      .populate("manager", "first_name last_name");
+
+    const changes = diffFields(employee, updated, EMPLOYEE_FIELDS);
+    await auditRest(req, {
+      operation:  "employee.update",
+      entityType: "employee",
+      entityId:   updated._id,
+      changes,
+    });
+
+    if (oldPhotoKey && oldPhotoKey !== updated.photo_public_id) await releasePhoto(oldPhotoKey, eid);
+
+    // sending the same values again isn't an update subscribers or webhooks need to hear about
+    if (changes.length > 0) {
+      await publishEmployee(EVENTS.EMPLOYEE_UPDATED, updated._id);
+      await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_UPDATED, updated._id);
+    }
 
     logger.info(`Employee updated with photo: ${eid}`);
 
@@ -264,17 +384,213 @@ router.put("/employees/:eid/photo", protect, upload.single("photo"), async (req,
         designation:     updated.designation,
         salary:          updated.salary,
         date_of_joining: updated.date_of_joining,
-        department:      updated.department,
+        department:      { _id: updated.department._id, code: updated.department.code, name: updated.department.name },
+        manager:         updated.manager && { _id: updated.manager._id, full_name: `${updated.manager.first_name} ${updated.manager.last_name}` },
         employee_photo:  updated.employee_photo,
+        photo:           updated.photo_renditions,
         updated_at:      updated.updated_at,
       },
     });
   } catch (err) {
-    logger.error("Error updating employee with photo:", err.message);
+    const status = err.extensions?.httpStatus || 500;
+    if (status === 500) logger.error("Error updating employee with photo:", err.message);
+    return res.status(status).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/employees/import ───────────────────────────────────────────────
+// Bulk-add employees from a CSV file. See utils/employeeImport.js for the columns.
+//
+// Body: multipart/form-data
+//   file   (CSV file)
+//   mode   (text, or ?mode= in the URL) — "dry-run" (default) only reports,
+//          "commit" inserts every row in one go — refused if any row has a problem
+//
+// Responses: 200 dry-run report, 201 committed, 422 commit refused (the report says why)
+router.post("/employees/import", protect, restrictTo(...WRITE_ROLES), csvUpload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: "No CSV attached. Send it in a field called 'file'." });
+    }
+
+    const mode = String(req.query.mode || req.body.mode || "dry-run").toLowerCase();
+    if (!["dry-run", "commit"].includes(mode)) {
+      return res.status(400).json({ success: false, message: 'mode has to be "dry-run" or "commit".' });
+    }
+
+    const { report, employees } = await importEmployees(req.file.buffer, {
+      commit: mode === "commit",
+      author: req.user,
+    });
+
+    for (const employee of employees) {
+      await auditRest(req, {
+        operation:  "employee.create",
+        entityType: "employee",
+        entityId:   employee._id,
+        changes:    diffFields(null, employee, EMPLOYEE_FIELDS),
+      });
+    }
+
+    await publishEmployee(EVENTS.EMPLOYEE_ADDED, ...employees.map((e) => e._id));
+    await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_CREATED, ...employees.map((e) => e._id));
+
+    if (report.committed) {
+      logger.info(`Imported ${report.inserted} employee(s) from CSV`);
+      return res.status(201).json({ success: true, message: `Imported ${report.inserted} employee(s).`, ...report });
+    }
+
+    if (mode === "commit") {
+      return res.status(422).json({
+        success: false,
+        message: `Nothing was imported — ${report.invalid_rows} row(s) need fixing first.`,
+        ...report,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: report.invalid_rows === 0
+        ? `All ${report.total_rows} row(s) look good — send it again with mode=commit to import them.`
+        : `${report.invalid_rows} of ${report.total_rows} row(s) have problems.`,
+      ...report,
+    });
+  } catch (err) {
+    // a duplicate sneaking in between the check and the insert lands here as a unique-index error
+    const status = err.code === 11000 ? 409 : err.extensions?.httpStatus || 500;
+    if (status === 500) logger.error("Error importing employees:", err.message);
+    return res.status(status).json({
+      success: false,
+      message: err.code === 11000 ? "Someone added one of these emails while the import was running. Nothing was imported — try again." : err.message,
+    });
+  }
+});
+
+// ─── GET /api/employees/export ────────────────────────────────────────────────
+// Download the employee list for payroll / spreadsheets. Streams, so there's no row limit.
+//
+// Query string (all optional):
+//   format   csv (default), json or ndjson
+//   columns  comma-separated — _id, first_name, last_name, full_name, email, gender, designation,
+//            salary, date_of_joining, department_id, department_code, department_name,
+//            manager_id, employee_photo, created_at, updated_at
+//   filter   an EmployeeFilter as JSON, same as the GraphQL employees query —
+//            e.g. filter={"department_contains":"eng","salary_min":50000}
+router.get("/employees/export", protect, restrictTo(...ALL_ROLES), async (req, res) => {
+  try {
+    const format  = parseFormat(req.query.format);
+    const columns = parseColumns(req.query.columns);
+
+    let filter = null;
+    if (req.query.filter) {
+      try {
+        filter = JSON.parse(String(req.query.filter));
+      } catch {
+        return res.status(400).json({ success: false, message: "filter has to be valid JSON." });
+      }
+    }
+    // same shape checks the employees query gets from GraphQL — a bad filter is a 400, not a crash
+    const query = await buildEmployeeFilter(coerceEmployeeFilter(filter));
+
+    const count = await streamEmployees(res, { query, format, columns });
+    logger.info(`Exported ${count} employee(s) as ${format} for ${req.user.username}`);
+  } catch (err) {
+    // once rows have gone out the status code is already sent — all we can do is cut it short
+    if (res.headersSent) {
+      logger.error("Error streaming employee export:", err.message);
+      return res.destroy(err);
+    }
+    const status = err.extensions?.httpStatus || 500;
+    if (status === 500) logger.error("Error exporting employees:", err.message);
+    return res.status(status).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/employees/search ────────────────────────────────────────────────
+// Full-text search over names and designation, ranked by relevance.
+//
+// Query string: q (required), limit (optional, default 20, max 100)
+router.get("/employees/search", protect, restrictTo(...ALL_ROLES), async (req, res) => {
+  try {
+    const results = await textSearch(req.query.q, { limit: req.query.limit });
+    await Employee.populate(results.map((r) => r.employee), { path: "department", select: "code name" });
+
+    return res.status(200).json({
+      success: true,
+      total:   results.length,
+      results: results.map(({ score, employee }) => ({ score, employee: searchResultJSON(employee) })),
+    });
+  } catch (err) {
+    const status = err.extensions?.httpStatus || 500;
+    if (status === 500) logger.error("Error searching employees:", err.message);
+    return res.status(status).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/employees/typeahead ─────────────────────────────────────────────
+// Name prefix matching — "al jo" finds "Alice Johnson".
+//
+// Query string: q (required), limit (optional, default 10, max 100)
+router.get("/employees/typeahead", protect, restrictTo(...ALL_ROLES), async (req, res) => {
+  try {
+    const employees = await typeahead(req.query.q, { limit: req.query.limit });
+    await Employee.populate(employees, { path: "department", select: "code name" });
+
+    return res.status(200).json({
+      success:   true,
+      total:     employees.length,
+      employees: employees.map(searchResultJSON),
+    });
+  } catch (err) {
+    logger.error("Error in employee typeahead:", err.message);
     return res.status(500).json({ success: false, message: err.message });
   }
 });
 
+// 409s if someone else (deleted or not) already has the email — returns whether it's free
+async function emailIsFree(email, exceptId, res) {
+  const duplicate = await Employee.findByEmail(email, exceptId);
+  if (!duplicate) return true;
+
+  const message = duplicate.deleted_at
+    ? `The email "${email}" belongs to a deleted employee (${duplicate._id}). Restore them instead.`
+    : `An employee with email "${email}" already exists.`;
+  res.status(409).json({ success: false, message });
+  return false;
+}
+
+// looks up the department the client named — sends the 400/404 itself and returns null if it can't
+async function findDepartment(value, res) {
+  try {
+    return await resolveDepartment(value);
+  } catch (err) {
+    res.status(err.extensions?.httpStatus || 400).json({ success: false, message: err.message });
+    return null;
+  }
+}
+
+// same idea for the manager — null employeeId means a brand-new hire (no cycle possible)
+async function findManager(employeeId, managerId, res) {
+  try {
+    return await validateManager(employeeId, managerId);
+  } catch (err) {
+    res.status(err.extensions?.httpStatus || 400).json({ success: false, message: err.message });
+    return null;
+  }
+}
+
+// the fields a search result needs — no salary, these are for finding people
+function searchResultJSON(employee) {
+  return {
+    _id:            employee._id,
+    full_name:      `${employee.first_name} ${employee.last_name}`,
+    email:          employee.email,
+    designation:    employee.designation,
+    department:     employee.department && { code: employee.department.code, name: employee.department.name },
+    employee_photo: employee.employee_photo,
+  };
+}
+
 // ─── Multer error handler ─────────────────────────────────────────────────────
 router.use((err, req, res, next) => {
   if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
@@ -0,0 +1,41 @@
+// scripts/cleanup-orphan-photos.js
+// v1.0.0
+//
+// Deletes photos in storage that no employee points at (uploaded but never attached).
+// The server already does this on a timer (utils/photoCleanupJob.js) — this is for running it by hand or from cron.
+//
+// Run with:
+//   npm run cleanup:photos                         — uses PHOTO_ORPHAN_GRACE_HOURS (default 24)
+//   npm run cleanup:photos -- --hours 1            — only spare photos younger than an hour
+//   npm run cleanup:photos -- --dry-run            — just list what would go
+
+require("dotenv").config({ path: require("path").resolve(__dirname, "../.env") });
+
+const mongoose = require("mongoose");
+const { cleanupOrphanPhotos, GRACE_HOURS } = require("../utils/photoCleanupJob");
+
+const args     = process.argv.slice(2);
+const DRY_RUN  = args.includes("--dry-run");
+const hoursArg = args.indexOf("--hours");
+const HOURS    = hoursArg !== -1 ? parseFloat(args[hoursArg + 1]) : GRACE_HOURS;
+
+async function cleanup() {
+  try {
+    if (!(HOURS >= 0)) throw new Error("--hours has to be a number, 0 or more.");
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`✅  Connected to MongoDB${DRY_RUN ? " (dry run — nothing will be deleted)" : ""}\n`);
+
+    const { deleted, orphans, cutoff } = await cleanupOrphanPhotos({ graceHours: HOURS, dryRun: DRY_RUN });
+    if (DRY_RUN) orphans.forEach((key) => console.log(`   ${key}`));
+    console.log(`🗑   ${DRY_RUN ? `Would delete ${orphans.length}` : `Deleted ${deleted}`} unused photo(s) uploaded before ${cutoff.toISOString()}`);
+
+  } catch (err) {
+    console.error("❌  Cleanup failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+cleanup();
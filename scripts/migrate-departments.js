@@ -0,0 +1,127 @@
+// scripts/migrate-departments.js
+// v1.0.0
+//
+// One-off migration: turns the old free-text employee.department strings into
+// Department documents and points every employee at one by _id.
+//
+// Run with:
+//   npm run migrate:departments                      — do it
+//   npm run migrate:departments -- --dry-run         — just print what would happen
+//   npm run migrate:departments -- --aliases aliases.json
+//
+// Strings are grouped case-insensitively with extra spaces squashed, so
+// "Engineering", "engineering " and "ENGINEERING" become one department.
+// For abbreviations and typos pass an aliases file mapping them to the real name:
+//   { "Eng": "Engineering", "Enginering": "Engineering" }
+//
+// Safe to run more than once — employees that already reference a department are skipped,
+// and departments that already exist (same name, case-insensitive) are reused.
+
+require("dotenv").config({ path: require("path").resolve(__dirname, "../.env") });
+
+const fs         = require("fs");
+const mongoose   = require("mongoose");
+const Employee   = require("../models/Employee");
+const Department = require("../models/Department");
+const { ensureSearchIndex } = require("../utils/employeeSearch");
+
+const args         = process.argv.slice(2);
+const DRY_RUN      = args.includes("--dry-run");
+const aliasArg     = args.indexOf("--aliases");
+const ALIASES_FILE = aliasArg !== -1 ? args[aliasArg + 1] : null;
+
+const squash = (str) => String(str).replace(/\s+/g, " ").trim();
+
+// "Human Resources" → "HUMANRES", made unique against `taken` by adding 2, 3, ...
+const makeCode = (name, taken) => {
+  const base = squash(name).toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 8) || "DEPT";
+  let code   = base.length >= 2 ? base : `${base}X`;
+  for (let n = 2; taken.has(code); n++) code = `${base.slice(0, 10 - String(n).length)}${n}`;
+  taken.add(code);
+  return code;
+};
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`✅  Connected to MongoDB${DRY_RUN ? " (dry run — nothing will be written)" : ""}\n`);
+
+    // alias keys are matched case-insensitively, same as department names
+    const aliases = {};
+    if (ALIASES_FILE) {
+      const raw = JSON.parse(fs.readFileSync(ALIASES_FILE, "utf8"));
+      Object.entries(raw).forEach(([from, to]) => { aliases[squash(from).toLowerCase()] = squash(to); });
+      console.log(`📖  Loaded ${Object.keys(aliases).length} aliases from ${ALIASES_FILE}`);
+    }
+
+    // go through the raw collection — the schema says ObjectId now, so Mongoose would choke on the strings
+    const legacy = await Employee.collection
+      .find({ department: { $type: "string" } }, { projection: { department: 1 } })
+      .toArray();
+
+    if (legacy.length === 0) {
+      console.log("👌  No employees with a text department — nothing to migrate.");
+    } else {
+      // canonical name (lowercase) → display name, first spelling seen wins
+      const groups = new Map();
+      legacy.forEach(({ department }) => {
+        const name = aliases[squash(department).toLowerCase()] || squash(department);
+        const key  = name.toLowerCase();
+        if (!groups.has(key)) groups.set(key, name);
+      });
+
+      const takenCodes = new Set(await Department.distinct("code"));
+      const idByKey    = new Map();
+
+      for (const [key, name] of groups) {
+        const existing = await Department.findByName(name);
+        if (existing) {
+          idByKey.set(key, existing._id);
+          console.log(`🔗  "${name}" → existing department ${existing.code}`);
+          continue;
+        }
+
+        const code = makeCode(name, takenCodes);
+        if (DRY_RUN) {
+          idByKey.set(key, null);
+        } else {
+          const created = await Department.create({ code, name });
+          idByKey.set(key, created._id);
+        }
+        console.log(`🏢  "${name}" → new department ${code}`);
+      }
+
+      const ops = legacy.map(({ _id, department }) => {
+        const name = aliases[squash(department).toLowerCase()] || squash(department);
+        return {
+          updateOne: {
+            filter: { _id, department },
+            update: { $set: { department: idByKey.get(name.toLowerCase()) } },
+          },
+        };
+      });
+
+      if (!DRY_RUN) await Employee.collection.bulkWrite(ops, { ordered: false });
+      console.log(`\n👷  ${DRY_RUN ? "Would update" : "Updated"} ${ops.length} employees across ${groups.size} departments`);
+    }
+
+    // the old text index searched the department string — the new one searches the copies of
+    // the department's name and code, which get filled in here too (the server does this on startup as well)
+    if (!DRY_RUN) {
+      await ensureSearchIndex();
+      await Employee.syncIndexes();
+      await Department.syncIndexes();
+      console.log("🗂   Indexes in sync");
+    }
+
+    console.log("\n✅  Migration done!");
+
+  } catch (err) {
+    console.error("❌  Migration failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate();
@@ -0,0 +1,40 @@
+// scripts/purge-deleted-employees.js
+// v1.0.0
+//
+// Permanently removes employees that were soft-deleted longer ago than the retention period.
+// The server already does this on a timer (utils/purgeJob.js) — this is for running it by hand or from cron.
+//
+// Run with:
+//   npm run purge:employees                        — uses EMPLOYEE_RETENTION_DAYS (default 30)
+//   npm run purge:employees -- --days 7            — override the retention period
+//   npm run purge:employees -- --dry-run           — just count what would go
+
+require("dotenv").config({ path: require("path").resolve(__dirname, "../.env") });
+
+const mongoose = require("mongoose");
+const { purgeDeletedEmployees, RETENTION_DAYS } = require("../utils/purgeJob");
+
+const args    = process.argv.slice(2);
+const DRY_RUN = args.includes("--dry-run");
+const daysArg = args.indexOf("--days");
+const DAYS    = daysArg !== -1 ? parseInt(args[daysArg + 1], 10) : RETENTION_DAYS;
+
+async function purge() {
+  try {
+    if (!Number.isInteger(DAYS) || DAYS < 0) throw new Error("--days has to be a whole number, 0 or more.");
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`✅  Connected to MongoDB${DRY_RUN ? " (dry run — nothing will be deleted)" : ""}\n`);
+
+    const { purged, cutoff } = await purgeDeletedEmployees({ retentionDays: DAYS, dryRun: DRY_RUN });
+    console.log(`🗑   ${DRY_RUN ? "Would purge" : "Purged"} ${purged} employee(s) deleted before ${cutoff.toISOString()}`);
+
+  } catch (err) {
+    console.error("❌  Purge failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+purge();
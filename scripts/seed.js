@@ -1,60 +1,72 @@
 // scripts/seed.js
 // v3.0.0
 //
-// Drops existing users and employees, then inserts some sample data.
+// Drops existing users, departments, employees and salary history, then inserts some sample data.
 // Run with: npm run seed
 //
 // After seeding you can login with:
-//   username: admin     password: Admin1234
-//   username: testuser  password: Test1234
+//   username: admin     password: Admin1234   (admin)
+//   username: hruser    password: Hr123456    (hr)
+//   username: testuser  password: Test1234    (viewer)
 
 require("dotenv").config({ path: require("path").resolve(__dirname, "../.env") });
 
-const mongoose = require("mongoose");
-const User     = require("../models/User");
-const Employee = require("../models/Employee");
+const mongoose    = require("mongoose");
+const User        = require("../models/User");
+const Employee    = require("../models/Employee");
+const Department  = require("../models/Department");
+const SalaryEntry = require("../models/SalaryEntry");
 
 const SAMPLE_USERS = [
-  { username: "admin",    email: "admin@comp3133.ca",    password: "Admin1234" },
-  { username: "testuser", email: "testuser@comp3133.ca", password: "Test1234" },
+  { username: "admin",    email: "admin@comp3133.ca",    password: "Admin1234", role: "admin" },
+  { username: "hruser",   email: "hruser@comp3133.ca",   password: "Hr123456",  role: "hr" },
+  { username: "testuser", email: "testuser@comp3133.ca", password: "Test1234",  role: "viewer" },
 ];
 
+const SAMPLE_DEPARTMENTS = [
+  { code: "ENG",  name: "Engineering", description: "Builds and runs the product." },
+  { code: "PROD", name: "Product",     description: "Decides what gets built." },
+  { code: "DES",  name: "Design",      description: "UX and visual design." },
+  { code: "ANA",  name: "Analytics",   description: "Data and reporting." },
+];
+
+// department here is the department code — swapped for the real _id when inserting
 const SAMPLE_EMPLOYEES = [
   {
     first_name: "Alice", last_name: "Johnson",
     email: "alice.j@company.com", gender: "Female",
     designation: "Software Engineer", salary: 85000,
-    date_of_joining: "2022-03-15", department: "Engineering",
+    date_of_joining: "2022-03-15", department: "ENG",
   },
   {
     first_name: "Bob", last_name: "Smith",
     email: "bob.smith@company.com", gender: "Male",
     designation: "Senior Software Engineer", salary: 110000,
-    date_of_joining: "2020-07-01", department: "Engineering",
+    date_of_joining: "2020-07-01", department: "ENG",
   },
   {
     first_name: "Carol", last_name: "Davis",
     email: "carol.d@company.com", gender: "Female",
     designation: "Product Manager", salary: 95000,
-    date_of_joining: "2021-11-20", department: "Product",
+    date_of_joining: "2021-11-20", department: "PROD",
   },
   {
     first_name: "David", last_name: "Lee",
     email: "david.lee@company.com", gender: "Male",
     designation: "UX Designer", salary: 78000,
-    date_of_joining: "2023-01-10", department: "Design",
+    date_of_joining: "2023-01-10", department: "DES",
   },
   {
     first_name: "Eva", last_name: "Martinez",
     email: "eva.m@company.com", gender: "Female",
     designation: "DevOps Engineer", salary: 92000,
-    date_of_joining: "2022-08-05", department: "Engineering",
+    date_of_joining: "2022-08-05", department: "ENG",
   },
   {
     first_name: "Frank", last_name: "Wilson",
     email: "frank.w@company.com", gender: "Male",
     designation: "Data Analyst", salary: 72000,
-    date_of_joining: "2023-04-17", department: "Analytics",
+    date_of_joining: "2023-04-17", department: "ANA",
   },
 ];
 
@@ -66,24 +78,43 @@ async function seed() {
     // wipe existing records
     await User.deleteMany({});
     await Employee.deleteMany({});
-    console.log("🗑   Cleared existing users and employees");
+    await Department.deleteMany({});
+    await SalaryEntry.deleteMany({});
+    console.log("🗑   Cleared existing users, departments, employees and salary history");
 
     // insert users
     await User.insertMany(SAMPLE_USERS);
     console.log(`👤  Created ${SAMPLE_USERS.length} users`);
 
-    // insert employees — convert date strings to Date objects
+    // insert departments
+    const departments = await Department.insertMany(SAMPLE_DEPARTMENTS);
+    const deptByCode  = Object.fromEntries(departments.map((d) => [d.code, d._id]));
+    console.log(`🏢  Created ${departments.length} departments`);
+
+    // insert employees — convert date strings to Date objects, department codes to _ids
     const empDocs = SAMPLE_EMPLOYEES.map((e) => ({
       ...e,
       date_of_joining: new Date(e.date_of_joining),
+      department:      deptByCode[e.department],
     }));
-    await Employee.insertMany(empDocs);
-    console.log(`👷  Created ${empDocs.length} employees\n`);
+    const employees = await Employee.insertMany(empDocs);
+    console.log(`👷  Created ${empDocs.length} employees`);
+
+    // everyone starts with one salary entry: their current salary, from the day they joined
+    await SalaryEntry.insertMany(employees.map((e) => ({
+      employee:       e._id,
+      amount:         e.salary,
+      effective_date: e.date_of_joining,
+      reason:         "Starting salary",
+      applied:        true,
+    })));
+    console.log(`💰  Created ${employees.length} salary history entries\n`);
 
     console.log("──────────────────────────────────────────");
     console.log("  Test credentials:");
-    console.log("  admin    / Admin1234");
-    console.log("  testuser / Test1234");
+    console.log("  admin    / Admin1234  (admin)");
+    console.log("  hruser   / Hr123456   (hr)");
+    console.log("  testuser / Test1234   (viewer)");
     console.log("──────────────────────────────────────────\n");
     console.log("✅  Seed done!");
 
@@ -4,10 +4,16 @@
 // Entry point — wires together Express, Apollo Server, all middleware, and starts listening.
 //
 // Endpoints:
-//   POST   /graphql                      — GraphQL API (all 8 operations)
-//   POST   /api/upload                   — upload photo only → returns Cloudinary URL
+//   POST   /graphql                      — GraphQL API (all 8 operations) — multipart for photo uploads
+//   WS     /graphql                      — GraphQL subscriptions (graphql-ws protocol)
+//   POST   /api/upload                   — upload photo only → returns its URL
 //   POST   /api/employees/photo          — create employee WITH photo in one request
 //   PUT    /api/employees/:eid/photo     — update employee WITH photo in one request
+//   POST   /api/employees/import         — bulk import employees from a CSV (dry-run or commit)
+//   GET    /api/employees/export         — stream employees out as CSV / JSON / NDJSON
+//   GET    /api/employees/search         — full-text employee search (ranked)
+//   GET    /api/employees/typeahead      — name prefix matching for people-pickers
+//   GET    /uploads/photos/:file         — photos, when they're stored on local disk
 //   GET    /health                       — health check
 //   GET    /                             — info
 
@@ -25,15 +31,27 @@ const { ApolloServer }                    = require("@apollo/server");
 const { expressMiddleware }               = require("@apollo/server/express4");
 const { ApolloServerPluginDrainHttpServer } = require("@apollo/server/plugin/drainHttpServer");
 const { ApolloServerPluginLandingPageLocalDefault } = require("@apollo/server/plugin/landingPage/default");
+const { makeExecutableSchema }            = require("@graphql-tools/schema");
+const { WebSocketServer }                 = require("ws");
+const { useServer }                       = require("graphql-ws/lib/use/ws");
 
 const connectDB        = require("./config/db");
 const typeDefs         = require("./graphql/typeDefs");
 const resolvers        = require("./graphql/resolvers");
-const { buildContext } = require("./middleware/auth");
+const { buildContext, buildSubscriptionContext } = require("./middleware/auth");
+const { graphqlUploads, PREFLIGHT_HEADERS } = require("./middleware/graphqlUpload");
+const { queryLimitsPlugin, subscriptionLimitErrors, limitBatch, BATCHING, INTROSPECTION } = require("./utils/queryLimits");
+const { responseCachePlugin, getCacheStore } = require("./utils/responseCache");
 const uploadRouter     = require("./routes/upload");
 const logger           = require("./utils/logger");
+const { startPurgeJob } = require("./utils/purgeJob");
+const { startSalaryJob } = require("./utils/compensation");
+const { startWebhookJob } = require("./utils/webhooks");
+const { startPhotoCleanupJob } = require("./utils/photoCleanupJob");
 
-require("./config/cloudinary"); // init Cloudinary on startup
+const { getPhotoStorage, LOCAL_PHOTO_ROUTE, LOCAL_PHOTO_DIR } = require("./utils/photoStorage");
+const { getTransport } = require("./utils/mailer");
+const { ensureSearchIndex } = require("./utils/employeeSearch");
 
 const PORT    = parseInt(process.env.PORT || "4000", 10);
 const IS_PROD = process.env.NODE_ENV === "production";
@@ -57,21 +75,57 @@ async function startServer() {
   // 1. Database
   await connectDB();
 
+  // full-text search needs its index (and the department copies it searches) — an older text
+  // index gets swapped out. Search is the only thing that suffers if this fails, so don't stop.
+  await ensureSearchIndex().catch((err) => logger.error(`Couldn't set up the search index: ${err.message}`));
+
+  // soft-deleted employees past their retention period get removed for good
+  startPurgeJob();
+
+  // pick the photo backend now so a bad PHOTO_STORAGE / S3 setup fails on startup, not on the first upload
+  getPhotoStorage();
+
+  // same for mail — in production there's no console fallback, MAIL_TRANSPORT has to be set
+  getTransport();
+
+  // photos uploaded but never attached to anyone get deleted after a grace period
+  startPhotoCleanupJob();
+
+  // future-dated salary changes kick in on their effective date
+  startSalaryJob();
+
+  // webhook deliveries that failed get retried with backoff
+  startWebhookJob();
+
   // 2. Express + HTTP server
   const app        = express();
   const httpServer = http.createServer(app);
 
+  // behind a proxy (Render, nginx...) req.ip would be the proxy's IP without this —
+  // login throttling and the session list both need the real client IP
+  if (process.env.TRUST_PROXY) app.set("trust proxy", parseInt(process.env.TRUST_PROXY, 10) || 1);
+
   // 3. Security / utility middleware
   app.use(helmet({
     crossOriginEmbedderPolicy: false,
     contentSecurityPolicy:     IS_PROD ? undefined : false,
   }));
   app.use(compression());
-  app.use(cors({ origin: "*", methods: ["GET", "POST", "PUT", "OPTIONS"] }));
+  // X-Cache (utils/responseCache.js) is readable from browser code too
+  app.use(cors({ origin: "*", methods: ["GET", "POST", "PUT", "OPTIONS"], exposedHeaders: ["X-Cache"] }));
   app.use(morgan(IS_PROD ? "combined" : "dev"));
   app.use(express.json({ limit: "10mb" }));
   app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
+  // photos on local disk (PHOTO_STORAGE=local) — before the rate limiter, a page full of
+  // avatars shouldn't use up anyone's quota. Names are never reused, so they cache forever.
+  app.use(LOCAL_PHOTO_ROUTE, express.static(LOCAL_PHOTO_DIR, {
+    immutable:  true,
+    maxAge:     "365d",
+    index:      false,
+    setHeaders: (res) => res.setHeader("Cross-Origin-Resource-Policy", "cross-origin"),
+  }));
+
   // rate limiting — 100 requests per 15 minutes
   app.use(rateLimit({
     windowMs:        15 * 60 * 1000,
@@ -81,14 +135,51 @@ async function startServer() {
     message: { success: false, message: "Too many requests. Try again in 15 minutes." },
   }));
 
-  // 4. Apollo Server
+  // 4. Apollo Server + subscriptions
+  // one schema for both: queries / mutations over HTTP, subscriptions over WebSocket
+  const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+  // the WebSocket server shares the HTTP server (and the /graphql path) — no second port
+  const wsServer = new WebSocketServer({ server: httpServer, path: "/graphql" });
+  const wsCleanup = useServer({
+    schema,
+    // same JWT as HTTP requests — no valid token, no socket. The session behind it is checked
+    // again before every event, and the socket closed once it's logged out or revoked
+    onConnect: async (ctx) => {
+      ctx.extra.context = await buildSubscriptionContext(ctx.connectionParams, ctx.extra.request, ctx.extra.socket);
+      return Boolean(ctx.extra.context.user);
+    },
+    // same depth / alias / cost limits as queries over HTTP
+    onSubscribe: (ctx, msg) => subscriptionLimitErrors(schema, msg.payload),
+    context: (ctx) => ctx.extra.context,
+  }, wsServer);
+
   const apollo = new ApolloServer({
-    typeDefs,
-    resolvers,
+    schema,
     formatError,
-    introspection: true,
+    // off in production unless GRAPHQL_INTROSPECTION=true — see utils/queryLimits.js
+    introspection: INTROSPECTION,
+    // several operations in one request (an array body) — at most GRAPHQL_MAX_BATCH, see limitBatch
+    allowBatchedHttpRequests: BATCHING,
+    // on by default, spelled out because it matters: GET and other "simple" requests need a
+    // preflight-forcing header. Multipart uploads are checked earlier, in graphqlUploads.
+    csrfPrevention: { requestHeaders: PREFLIGHT_HEADERS },
+    // automatic persisted queries (on by default in Apollo) keep their hashes in the same
+    // store as the response cache — a shared store means every instance knows every hash
+    cache: getCacheStore(),
     plugins: [
       ApolloServerPluginDrainHttpServer({ httpServer }),
+      // depth / alias / cost limits, and the cost in every response's extensions
+      queryLimitsPlugin(),
+      // cached responses for read queries, cleared by mutations — after the limits, so a
+      // query that's over budget is turned away even if it's cached
+      responseCachePlugin(),
+      // close open subscriptions on shutdown too
+      {
+        async serverWillStart() {
+          return { drainServer: () => wsCleanup.dispose() };
+        },
+      },
       ApolloServerPluginLandingPageLocalDefault({ embed: true }),
     ],
   });
@@ -98,7 +189,9 @@ async function startServer() {
   // 5. Mount routes
 
   // GraphQL
-  app.use("/graphql", expressMiddleware(apollo, {
+  // multipart requests (file uploads) are turned into a normal GraphQL body first,
+  // and batches over GRAPHQL_MAX_BATCH are turned away before Apollo sees them
+  app.use("/graphql", ...graphqlUploads, limitBatch, expressMiddleware(apollo, {
     context: async ({ req }) => buildContext(req),
   }));
 
@@ -106,6 +199,10 @@ async function startServer() {
   // POST   /api/upload                  — photo only
   // POST   /api/employees/photo         — create employee with photo
   // PUT    /api/employees/:eid/photo    — update employee with photo
+  // POST   /api/employees/import        — CSV bulk import
+  // GET    /api/employees/export        — CSV / JSON / NDJSON export
+  // GET    /api/employees/search        — full-text search
+  // GET    /api/employees/typeahead     — name typeahead
   app.use("/api", uploadRouter);
 
   // Health check
@@ -125,9 +222,14 @@ async function startServer() {
       version: "4.0.0",
       endpoints: {
         graphql:               `http://localhost:${PORT}/graphql`,
+        subscriptions:         `ws://localhost:${PORT}/graphql`,
         upload_photo_only:     `POST http://localhost:${PORT}/api/upload`,
         create_with_photo:     `POST http://localhost:${PORT}/api/employees/photo`,
         update_with_photo:     `PUT  http://localhost:${PORT}/api/employees/:eid/photo`,
+        import_csv:            `POST http://localhost:${PORT}/api/employees/import?mode=dry-run`,
+        export:                `GET  http://localhost:${PORT}/api/employees/export?format=csv`,
+        search:                `GET  http://localhost:${PORT}/api/employees/search?q=`,
+        typeahead:             `GET  http://localhost:${PORT}/api/employees/typeahead?q=`,
         health:                `http://localhost:${PORT}/health`,
       },
     })
@@ -151,6 +253,7 @@ async function startServer() {
   await new Promise((resolve) => httpServer.listen({ port: PORT }, resolve));
 
   logger.info(`🚀  GraphQL            →  http://localhost:${PORT}/graphql`);
+  logger.info(`📡  Subscriptions      →  ws://localhost:${PORT}/graphql`);
   logger.info(`📸  Upload photo only  →  POST http://localhost:${PORT}/api/upload`);
   logger.info(`👤  Create with photo  →  POST http://localhost:${PORT}/api/employees/photo`);
   logger.info(`✏️   Update with photo  →  PUT  http://localhost:${PORT}/api/employees/:eid/photo`);
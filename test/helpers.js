@@ -0,0 +1,117 @@
+// test/helpers.js
+// v1.0.0
+//
+// Bits the webhook tests share: a local receiver to send to, and the two models swapped for
+// an in-memory stand-in so the tests don't need a MongoDB running. Only the handful of calls
+// utils/webhooks.js makes are faked — everything else about the documents is real mongoose.
+
+const http            = require("http");
+const Webhook         = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+
+// ─── Receiver ─────────────────────────────────────────────────────────────────
+
+// a local HTTP server that records every request and answers with whatever respond(req)
+// returns — a status code, or { status, body }. Resolves once it's listening.
+const startReceiver = (respond = () => 200) => new Promise((resolve) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const received = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(received);
+
+      const answer = respond(received, requests.length);
+      if (answer === null) return; // never answer — for timeouts
+
+      const { status, body: text = "" } = typeof answer === "number" ? { status: answer } : answer;
+      res.writeHead(status, { "Content-Type": "text/plain" }).end(text);
+    });
+  });
+
+  server.listen(0, "127.0.0.1", () => {
+    const { port } = server.address();
+    resolve({
+      url:   `http://127.0.0.1:${port}/hook`,
+      port,
+      requests,
+      close: () => new Promise((done) => {
+        server.closeAllConnections();
+        server.close(done);
+      }),
+    });
+  });
+});
+
+// ─── Models ───────────────────────────────────────────────────────────────────
+
+// swaps the model calls utils/webhooks.js makes for an in-memory store — returns
+// { webhooks, deliveries, addWebhook, addDelivery, restore }
+const fakeModels = () => {
+  const webhooks   = new Map();
+  const deliveries = new Map();
+
+  const originals = {
+    webhookFindById: Webhook.findById,
+    deliveryClaim:   WebhookDelivery.findOneAndUpdate,
+    deliveryCreate:  WebhookDelivery.create,
+    deliverySave:    WebhookDelivery.prototype.save,
+  };
+
+  Webhook.findById = (id) => ({
+    select: async () => webhooks.get(String(id)) || null,
+  });
+
+  // only the claim query attemptDelivery sends: { _id, status, next_attempt_at: { $lte } }
+  WebhookDelivery.findOneAndUpdate = async (filter, update) => {
+    const delivery = deliveries.get(String(filter._id));
+    if (!delivery || delivery.status !== filter.status) return null;
+    if (delivery.next_attempt_at > filter.next_attempt_at.$lte) return null;
+
+    delivery.set(update.$set);
+    return delivery;
+  };
+
+  WebhookDelivery.create = async (fields) => {
+    const delivery = new WebhookDelivery(fields);
+    deliveries.set(String(delivery._id), delivery);
+    return delivery;
+  };
+
+  WebhookDelivery.prototype.save = async function () {
+    await this.validate();
+    deliveries.set(String(this._id), this);
+    return this;
+  };
+
+  return {
+    webhooks,
+    deliveries,
+
+    addWebhook: (fields) => {
+      const webhook = new Webhook({ events: ["employee_created"], is_active: true, ...fields });
+      webhooks.set(String(webhook._id), webhook);
+      return webhook;
+    },
+
+    addDelivery: (webhook, payload = { event: "employee_created", data: { employee: { _id: "1" } } }) =>
+      WebhookDelivery.create({ webhook: webhook._id, event: payload.event, payload }),
+
+    restore: () => {
+      Webhook.findById                 = originals.webhookFindById;
+      WebhookDelivery.findOneAndUpdate = originals.deliveryClaim;
+      WebhookDelivery.create           = originals.deliveryCreate;
+      WebhookDelivery.prototype.save   = originals.deliverySave;
+    },
+  };
+};
+
+// makes a pending delivery due now, as if its backoff had run out
+const makeDue = (delivery) => {
+  delivery.next_attempt_at = new Date(Date.now() - 1000);
+};
+
+module.exports = { startReceiver, fakeModels, makeDue };
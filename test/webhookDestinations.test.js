@@ -0,0 +1,74 @@
+// test/webhookDestinations.test.js
+// v1.0.0
+//
+// The guard that keeps webhooks off the internal network. WEBHOOK_ALLOW_PRIVATE isn't set
+// here, so the local receiver must never see a request.
+
+delete process.env.WEBHOOK_ALLOW_PRIVATE;
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startReceiver, fakeModels } = require("./helpers");
+const { attemptDelivery, checkWebhookUrl, isPrivateAddress } = require("../utils/webhooks");
+
+let models;
+let receiver;
+
+beforeEach(async () => {
+  models   = fakeModels();
+  receiver = await startReceiver(() => 200);
+});
+
+afterEach(async () => {
+  models.restore();
+  await receiver.close();
+});
+
+test("loopback, private, link-local and other internal addresses are private", () => {
+  [
+    "127.0.0.1", "127.8.9.10", "10.1.2.3", "172.16.0.1", "172.31.255.255", "192.168.1.1",
+    "169.254.169.254", "0.0.0.0", "100.64.0.1", "224.0.0.1", "255.255.255.255",
+    "::1", "::", "fe80::1", "fd00::1", "fc12:3456::1", "::ffff:127.0.0.1", "::ffff:169.254.169.254",
+  ].forEach((address) => assert.equal(isPrivateAddress(address), true, address));
+});
+
+test("public addresses aren't", () => {
+  ["93.184.215.14", "8.8.8.8", "172.32.0.1", "192.169.0.1", "2606:4700:4700::1111"]
+    .forEach((address) => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test("sending to an internal address is refused and recorded on the delivery", async () => {
+  const webhook  = models.addWebhook({ url: receiver.url, secret: "s" });
+  const delivery = await models.addDelivery(webhook);
+
+  const sent = await attemptDelivery(delivery._id);
+  assert.equal(sent.status, "pending");
+  assert.equal(sent.response_code, null);
+  assert.match(sent.error, /127\.0\.0\.1.*private or internal address/);
+  assert.equal(receiver.requests.length, 0);
+});
+
+test("a host name is checked after it's resolved", async () => {
+  const webhook  = models.addWebhook({ url: `http://localhost:${receiver.port}/hook`, secret: "s" });
+  const delivery = await models.addDelivery(webhook);
+
+  const sent = await attemptDelivery(delivery._id);
+  assert.match(sent.error, /^localhost resolves to .*private or internal address/);
+  assert.equal(receiver.requests.length, 0);
+});
+
+test("registering an internal URL is turned away up front", async () => {
+  for (const url of [
+    "http://127.0.0.1:3001/hook",
+    "http://[::1]/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://10.0.0.5/hook",
+    `http://localhost:${receiver.port}/hook`,
+  ]) {
+    await assert.rejects(checkWebhookUrl(url), { extensions: { code: "BAD_USER_INPUT", httpStatus: 400 } }, url);
+  }
+
+  await checkWebhookUrl("https://93.184.215.14/hook");
+});
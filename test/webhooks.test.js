@@ -0,0 +1,221 @@
+// test/webhooks.test.js
+// v1.0.0
+//
+// Webhook sending against a real local receiver: signatures, retries with backoff, giving
+// up, timeouts and redelivery. The receiver is on 127.0.0.1, so private addresses are allowed
+// here — the guard itself is tested in webhookDestinations.test.js.
+
+process.env.WEBHOOK_ALLOW_PRIVATE   = "true";
+process.env.WEBHOOK_BACKOFF_SECONDS = "2";
+process.env.WEBHOOK_MAX_ATTEMPTS    = "3";
+process.env.WEBHOOK_TIMEOUT_MS      = "500";
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startReceiver, fakeModels, makeDue } = require("./helpers");
+const {
+  attemptDelivery, redeliver, verifySignature, signPayload, backoff,
+} = require("../utils/webhooks");
+
+const SECRET = "whsec_test_secret";
+
+let models;
+let receiver;
+
+beforeEach(() => {
+  models = fakeModels();
+});
+
+afterEach(async () => {
+  models.restore();
+  if (receiver) await receiver.close();
+  receiver = null;
+});
+
+// ─── Signing ──────────────────────────────────────────────────────────────────
+
+test("every request is signed so the receiver can check it", async () => {
+  receiver = await startReceiver(() => 200);
+  const webhook  = models.addWebhook({ url: receiver.url, secret: SECRET });
+  const delivery = await models.addDelivery(webhook);
+
+  const sent = await attemptDelivery(delivery._id);
+  assert.equal(sent.status, "succeeded");
+  assert.equal(sent.attempts.length, 1);
+  assert.equal(sent.response_code, 200);
+  assert.ok(sent.delivered_at);
+
+  const [req] = receiver.requests;
+  assert.equal(req.method, "POST");
+  assert.equal(req.headers["content-type"], "application/json");
+  assert.equal(req.headers["x-webhook-event"], "employee_created");
+  assert.equal(req.headers["x-webhook-delivery"], String(delivery._id));
+  assert.deepEqual(JSON.parse(req.body), delivery.payload);
+
+  const timestamp = req.headers["x-webhook-timestamp"];
+  const signature = req.headers["x-webhook-signature"];
+  assert.match(signature, /^sha256=[a-f0-9]{64}$/);
+  assert.ok(verifySignature(SECRET, timestamp, req.body, signature));
+
+  // anything changed along the way — body, timestamp or secret — and it no longer checks out
+  assert.equal(verifySignature(SECRET, timestamp, req.body.replace("1", "2"), signature), false);
+  assert.equal(verifySignature(SECRET, Number(timestamp) + 1, req.body, signature), false);
+  assert.equal(verifySignature("someone-else", timestamp, req.body, signature), false);
+  assert.equal(verifySignature(SECRET, timestamp, req.body, undefined), false);
+});
+
+test("signPayload signs <timestamp>.<body> with HMAC-SHA256", () => {
+  // worked out separately: echo -n '1700000000.{"a":1}' | openssl dgst -sha256 -hmac secret
+  assert.equal(
+    signPayload("secret", 1700000000, '{"a":1}'),
+    "sha256=49f24e537407743fa4a0242bb63b94b9a47ee99cbbe071ccd8a22550ae411686"
+  );
+});
+
+// ─── Retries ──────────────────────────────────────────────────────────────────
+
+test("a failed attempt is retried after the backoff, doubling each time, then given up", async () => {
+  receiver = await startReceiver(() => ({ status: 500, body: "boom" }));
+  const webhook  = models.addWebhook({ url: receiver.url, secret: SECRET });
+  const delivery = await models.addDelivery(webhook);
+
+  // attempt 1 — retry in 2s
+  let before = Date.now();
+  let sent   = await attemptDelivery(delivery._id);
+  assert.equal(sent.status, "pending");
+  assert.equal(sent.response_code, 500);
+  assert.equal(sent.response_body, "boom");
+  assert.equal(sent.error, "Receiver answered 500");
+  assert.ok(sent.next_attempt_at.getTime() >= before + backoff(1));
+  assert.ok(sent.next_attempt_at.getTime() <= Date.now() + backoff(1));
+  assert.equal(backoff(1), 2000);
+
+  // not due yet, so nothing is sent
+  assert.equal(await attemptDelivery(delivery._id), null);
+  assert.equal(receiver.requests.length, 1);
+
+  // attempt 2 — retry in 4s
+  makeDue(sent);
+  before = Date.now();
+  sent   = await attemptDelivery(delivery._id);
+  assert.equal(sent.status, "pending");
+  assert.equal(backoff(2), 4000);
+  assert.ok(sent.next_attempt_at.getTime() >= before + backoff(2));
+  assert.ok(sent.next_attempt_at.getTime() <= Date.now() + backoff(2));
+
+  // attempt 3 is the last one
+  makeDue(sent);
+  sent = await attemptDelivery(delivery._id);
+  assert.equal(sent.status, "failed");
+  assert.equal(sent.attempts.length, 3);
+  assert.deepEqual(sent.attempts.map((a) => a.response_code), [500, 500, 500]);
+  assert.equal(sent.delivered_at, null);
+
+  // a failed delivery is never picked up again
+  makeDue(sent);
+  assert.equal(await attemptDelivery(delivery._id), null);
+
+  // every try carries the same delivery id, so the receiver can dedupe
+  assert.equal(receiver.requests.length, 3);
+  assert.ok(receiver.requests.every((r) => r.headers["x-webhook-delivery"] === String(delivery._id)));
+});
+
+test("a retry that gets a 2xx succeeds", async () => {
+  receiver = await startReceiver((_, count) => (count === 1 ? 503 : 204));
+  const webhook  = models.addWebhook({ url: receiver.url, secret: SECRET });
+  const delivery = await models.addDelivery(webhook);
+
+  const first = await attemptDelivery(delivery._id);
+  assert.equal(first.status, "pending");
+
+  makeDue(first);
+  const second = await attemptDelivery(delivery._id);
+  assert.equal(second.status, "succeeded");
+  assert.equal(second.error, null);
+  assert.deepEqual(second.attempts.map((a) => a.response_code), [503, 204]);
+});
+
+test("a redirect counts as a failure and isn't followed", async () => {
+  receiver = await startReceiver((req) =>
+    req.url === "/hook" ? { status: 302, body: "" } : 200
+  );
+  const webhook  = models.addWebhook({ url: receiver.url, secret: SECRET });
+  const delivery = await models.addDelivery(webhook);
+
+  const sent = await attemptDelivery(delivery._id);
+  assert.equal(sent.status, "pending");
+  assert.equal(sent.error, "Receiver answered 302");
+  assert.equal(receiver.requests.length, 1);
+});
+
+test("a receiver that doesn't answer in time is a failed attempt", async () => {
+  receiver = await startReceiver(() => null);
+  const webhook  = models.addWebhook({ url: receiver.url, secret: SECRET });
+  const delivery = await models.addDelivery(webhook);
+
+  const sent = await attemptDelivery(delivery._id);
+  assert.equal(sent.status, "pending");
+  assert.equal(sent.response_code, null);
+  assert.equal(sent.error, "No answer within 500ms");
+});
+
+test("a receiver that isn't there is a failed attempt", async () => {
+  receiver = await startReceiver();
+  const url = receiver.url;
+  await receiver.close();
+  receiver = null;
+
+  const webhook  = models.addWebhook({ url, secret: SECRET });
+  const delivery = await models.addDelivery(webhook);
+
+  const sent = await attemptDelivery(delivery._id);
+  assert.equal(sent.status, "pending");
+  assert.match(sent.error, /ECONNREFUSED/);
+});
+
+test("a delivery for a switched-off webhook fails without sending", async () => {
+  receiver = await startReceiver();
+  const webhook  = models.addWebhook({ url: receiver.url, secret: SECRET, is_active: false });
+  const delivery = await models.addDelivery(webhook);
+
+  const sent = await attemptDelivery(delivery._id);
+  assert.equal(sent.status, "failed");
+  assert.equal(sent.error, "Webhook is switched off.");
+  assert.equal(receiver.requests.length, 0);
+});
+
+// ─── Redelivery ───────────────────────────────────────────────────────────────
+
+test("redeliver sends the same payload again as a new, freshly signed delivery", async () => {
+  receiver = await startReceiver(() => 200);
+  const webhook  = models.addWebhook({ url: receiver.url, secret: SECRET });
+  const original = await attemptDelivery((await models.addDelivery(webhook))._id);
+  assert.equal(original.status, "succeeded");
+
+  const again = await redeliver(original);
+  assert.notEqual(String(again._id), String(original._id));
+  assert.equal(String(again.redelivery_of), String(original._id));
+  assert.equal(again.status, "succeeded");
+  assert.equal(again.attempts.length, 1);
+
+  const [first, second] = receiver.requests;
+  assert.equal(second.body, first.body);
+  assert.equal(second.headers["x-webhook-event"], first.headers["x-webhook-event"]);
+  assert.equal(second.headers["x-webhook-delivery"], String(again._id));
+  assert.ok(verifySignature(SECRET, second.headers["x-webhook-timestamp"], second.body, second.headers["x-webhook-signature"]));
+});
+
+test("a redelivery that fails is left pending for the retry job", async () => {
+  receiver = await startReceiver((_, count) => (count === 1 ? 200 : 500));
+  const webhook  = models.addWebhook({ url: receiver.url, secret: SECRET });
+  const original = await attemptDelivery((await models.addDelivery(webhook))._id);
+
+  const again = await redeliver(original);
+  assert.equal(again.status, "pending");
+  assert.equal(again.error, "Receiver answered 500");
+  assert.ok(again.next_attempt_at > new Date());
+
+  // the original is untouched
+  assert.equal(models.deliveries.get(String(original._id)).status, "succeeded");
+});
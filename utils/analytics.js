@@ -0,0 +1,174 @@
+// utils/analytics.js
+// v1.0.0
+//
+// Workforce numbers for the HR dashboards, all done with Mongo aggregation so we
+// never have to pull every employee into Node just to add up salaries.
+//
+// Every function takes a Mongo `match` (built from an EmployeeFilter with
+// buildEmployeeFilter) so the numbers line up with what the employee list shows.
+
+const Employee   = require("../models/Employee");
+const Department = require("../models/Department");
+const { badInput } = require("./errors");
+const { validateDate } = require("./validators");
+
+const MS_PER_DAY    = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365.25;
+
+// hiresByMonth won't go wider than this — 10 years of months is plenty for a chart
+const MAX_MONTHS = 120;
+
+// median of an already-sorted array field, done inside the pipeline
+const medianOf = (field) => ({
+  $let: {
+    vars: {
+      n:   { $size: field },
+      mid: { $floor: { $divide: [{ $size: field }, 2] } },
+    },
+    in: {
+      $cond: [
+        { $eq: ["$$n", 0] },
+        null,
+        {
+          $cond: [
+            { $eq: [{ $mod: ["$$n", 2] }, 1] },
+            { $arrayElemAt: [field, "$$mid"] },
+            { $avg: [{ $arrayElemAt: [field, { $subtract: ["$$mid", 1] }] }, { $arrayElemAt: [field, "$$mid"] }] },
+          ],
+        },
+      ],
+    },
+  },
+});
+
+// days since joining, as of `now`
+const tenureDays = (now) => ({ $divide: [{ $subtract: [now, "$date_of_joining"] }, MS_PER_DAY] });
+
+// turns grouped department _ids into department names for the `key` field
+const departmentNameLookup = [
+  { $lookup: { from: Department.collection.name, localField: "key", foreignField: "_id", as: "dept" } },
+  { $set: { key: { $ifNull: [{ $first: "$dept.name" }, "(unknown department)"] } } },
+  { $unset: "dept" },
+];
+
+// headcount + salary stats + average tenure, grouped by `groupBy` (null = everyone in one group)
+const salaryStats = async (match, groupBy = null) => {
+  const now  = new Date();
+  const rows = await Employee.aggregate([
+    { $match: match },
+    { $sort: { salary: 1 } }, // so $push below builds a sorted list for the median
+    {
+      $group: {
+        _id:         groupBy ? `$${groupBy}` : null,
+        headcount:   { $sum: 1 },
+        total:       { $sum: "$salary" },
+        average:     { $avg: "$salary" },
+        min:         { $min: "$salary" },
+        max:         { $max: "$salary" },
+        salaries:    { $push: "$salary" },
+        tenure_days: { $avg: tenureDays(now) },
+      },
+    },
+    {
+      $project: {
+        _id:         0,
+        key:         "$_id",
+        headcount:   1,
+        total:       1,
+        average:     1,
+        min:         1,
+        max:         1,
+        median:      medianOf("$salaries"),
+        tenure_days: 1,
+      },
+    },
+    ...(groupBy === "department" ? departmentNameLookup : []),
+    { $sort: { headcount: -1, key: 1 } },
+  ]);
+
+  return rows.map(({ tenure_days, ...row }) => ({
+    ...row,
+    average_tenure_years: tenure_days == null ? null : tenure_days / DAYS_PER_YEAR,
+  }));
+};
+
+// one row for the whole (filtered) workforce — zeros / nulls when nobody matches
+const overallSalaryStats = async (match) => {
+  const [row] = await salaryStats(match);
+  return row || {
+    key: null, headcount: 0, total: 0, average: null, median: null, min: null, max: null,
+    average_tenure_years: null,
+  };
+};
+
+// [{ gender, count, percentage }] — every gender is listed, even with a count of 0
+const genderDistribution = async (match) => {
+  const rows   = await Employee.aggregate([
+    { $match: match },
+    { $group: { _id: "$gender", count: { $sum: 1 } } },
+  ]);
+  const counts = Object.fromEntries(rows.map((r) => [r._id, r.count]));
+  const total  = rows.reduce((sum, r) => sum + r.count, 0);
+
+  return ["Male", "Female", "Other"].map((gender) => ({
+    gender,
+    count:      counts[gender] || 0,
+    percentage: total ? Math.round(((counts[gender] || 0) / total) * 10000) / 100 : 0,
+  }));
+};
+
+// { headcount, average_days, average_years }
+const tenure = async (match) => {
+  const [row] = await Employee.aggregate([
+    { $match: match },
+    { $group: { _id: null, headcount: { $sum: 1 }, average_days: { $avg: tenureDays(new Date()) } } },
+  ]);
+  if (!row) return { headcount: 0, average_days: null, average_years: null };
+  return {
+    headcount:     row.headcount,
+    average_days:  row.average_days,
+    average_years: row.average_days / DAYS_PER_YEAR,
+  };
+};
+
+// "2024-03" style keys for every month from..to (inclusive), in order
+const monthsBetween = (from, to) => {
+  const months = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+  while (cursor <= to) {
+    months.push(cursor.toISOString().slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+};
+
+// [{ month: "2024-03", count }] — months with no hires still show up with count 0
+const hiresByMonth = async (match, fromStr, toStr) => {
+  const from = validateDate(fromStr, "from");
+  const to   = validateDate(toStr,   "to");
+  if (from > to) throw badInput('"from" has to be before "to".');
+
+  const months = monthsBetween(from, to);
+  if (months.length > MAX_MONTHS) throw badInput(`Pick a range of ${MAX_MONTHS} months or less.`);
+
+  const rows = await Employee.aggregate([
+    { $match: { $and: [match, { date_of_joining: { $gte: from, $lte: to } }] } },
+    {
+      $group: {
+        _id:   { $dateToString: { format: "%Y-%m", date: "$date_of_joining" } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  const counts = Object.fromEntries(rows.map((r) => [r._id, r.count]));
+
+  return months.map((month) => ({ month, count: counts[month] || 0 }));
+};
+
+module.exports = {
+  salaryStats,
+  overallSalaryStats,
+  genderDistribution,
+  tenure,
+  hiresByMonth,
+};
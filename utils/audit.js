@@ -0,0 +1,82 @@
+// utils/audit.js
+// v1.0.0
+//
+// Helpers for writing AuditLog rows (models/AuditLog.js) from the resolvers and the REST routes.
+//
+//   diffFields(before, after, fields)  — [{ field, before, after }] for every field that changed
+//   auditGraphQL(context, route, entry) — records a change made through a GraphQL mutation
+//   auditRest(req, entry)               — records a change made through a REST route
+//
+// `entry` is { operation, entityType, entityId, changes } plus an optional `actor` for the
+// public mutations where nobody is logged in yet (signup, resetPassword...).
+//
+// Values are stored in a plain, comparable form: dates as ISO strings, ObjectIds and
+// populated documents as their _id string. Passwords never get their values written —
+// pass REDACTED for those.
+
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+// every employee field worth tracking
+const EMPLOYEE_FIELDS = [
+  "first_name", "last_name", "email", "gender", "designation", "salary",
+  "date_of_joining", "department", "manager", "employee_photo", "deleted_at", "deleted_by",
+];
+
+const DEPARTMENT_FIELDS = ["code", "name", "description", "head"];
+
+// never the secret
+const WEBHOOK_FIELDS = ["url", "events", "description", "is_active"];
+
+const REDACTED = "[redacted]";
+
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (value instanceof mongoose.Document) return String(value._id);
+  if (Array.isArray(value)) return value.map(normalize);
+  return value;
+};
+
+// pass null as `before` for creates and null as `after` for hard deletes
+const diffFields = (before, after, fields) =>
+  fields.flatMap((field) => {
+    const was = normalize(before?.[field]);
+    const now = normalize(after?.[field]);
+    return JSON.stringify(was) === JSON.stringify(now) ? [] : [{ field, before: was, after: now }];
+  });
+
+// a plain copy of the tracked fields — take one before changing a document in place
+const snapshot = (doc, fields) =>
+  Object.fromEntries(fields.map((field) => [field, normalize(doc?.[field])]));
+
+const auditGraphQL = (context, route, { actor, ...entry }) =>
+  AuditLog.record({
+    ...entry,
+    actor:  actor ?? context?.user ?? null,
+    req:    context?.req,
+    source: "graphql",
+    route,
+  });
+
+// route comes out as the pattern ("/api/employees/:eid/photo"), not the actual URL
+const auditRest = (req, { actor, ...entry }) =>
+  AuditLog.record({
+    ...entry,
+    actor:  actor ?? req.user ?? null,
+    req,
+    source: "rest",
+    route:  `${req.method} ${req.baseUrl}${req.route?.path || ""}`,
+  });
+
+module.exports = {
+  diffFields,
+  snapshot,
+  auditGraphQL,
+  auditRest,
+  EMPLOYEE_FIELDS,
+  DEPARTMENT_FIELDS,
+  WEBHOOK_FIELDS,
+  REDACTED,
+};
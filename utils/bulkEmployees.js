@@ -0,0 +1,277 @@
+// utils/bulkEmployees.js
+// v1.0.0
+//
+// The engine behind the bulkUpdateEmployees and bulkDeleteEmployees mutations.
+//
+// Everything is checked before anything is written:
+//   1. the changes themselves — same validators as updateEmployee (utils/validators.js),
+//      the department / manager lookups, and at least one field has to be there
+//   2. every target — valid ID, exists, and (for manager changes) no self-management or
+//      reporting loops (validateManager in utils/orgChart.js)
+//
+// Then the writes, in one of two modes:
+//   allOrNothing: true  (default) — one bad item and nothing is written. Otherwise all of
+//                                   them go in one transaction, so a failure halfway
+//                                   through rolls every one of them back.
+//   allOrNothing: false           — every valid item goes in its own transaction; the
+//                                   invalid ones (and any that fail on write) are reported
+//                                   and the rest still happen.
+//
+// Both return { committed, results } with one result per target, in the order they were
+// asked for. Auditing is left to the caller — it only happens for what actually committed.
+
+const Employee    = require("../models/Employee");
+const Department  = require("../models/Department");
+const SalaryEntry = require("../models/SalaryEntry");
+const { badInput } = require("./errors");
+const { requireField, validateSalary, validateObjectId } = require("./validators");
+const { resolveDepartment } = require("./departments");
+const { validateManager } = require("./orgChart");
+const { buildEmployeeFilter } = require("./employeeFilter");
+const { addSalaryEntry } = require("./compensation");
+const { snapshot, EMPLOYEE_FIELDS } = require("./audit");
+const { runInTransaction } = require("./transaction");
+
+const MAX_ITEMS = parseInt(process.env.BULK_MAX_EMPLOYEES || "500", 10);
+
+const DEFAULT_SALARY_REASON = "Updated with bulkUpdateEmployees";
+
+// ─── Checking up front ────────────────────────────────────────────────────────
+
+// BulkEmployeeChanges → { set, manager, salary, reason } — throws if the changes can't apply to anyone
+const checkChanges = async (changes = {}) => {
+  const set = {};
+
+  if (changes.designation !== undefined && changes.designation !== null) {
+    requireField(changes.designation, "changes.designation");
+    set.designation = changes.designation.trim();
+  }
+  if (changes.department !== undefined && changes.department !== null)
+    set.department = (await resolveDepartment(changes.department, "changes.department"))._id;
+
+  // like updateEmployee, an explicit null clears the manager
+  let manager;
+  if (changes.manager === null) manager = null;
+  else if (changes.manager !== undefined) {
+    validateObjectId(changes.manager, "changes.manager");
+    if (!(await Employee.exists({ _id: changes.manager })))
+      throw badInput(`"changes.manager" isn't an existing employee.`);
+    manager = String(changes.manager);
+  }
+
+  let salary;
+  if (changes.salary !== undefined && changes.salary !== null) {
+    validateSalary(changes.salary);
+    salary = parseFloat(changes.salary);
+  }
+  if (changes.salary_reason != null && salary === undefined)
+    throw badInput("changes.salary_reason only makes sense together with changes.salary.");
+  const reason = changes.salary_reason?.trim() || DEFAULT_SALARY_REASON;
+
+  if (Object.keys(set).length === 0 && manager === undefined && salary === undefined)
+    throw badInput("Nothing to change — pass at least one field in changes.");
+
+  return { set, manager, salary, reason };
+};
+
+// ids or a filter — exactly one — → the ids to work on, duplicates dropped
+const resolveTargets = async ({ ids, filter }) => {
+  if ((ids == null) === (filter == null))
+    throw badInput("Pass either ids or filter (not both).");
+
+  if (ids) {
+    const unique = [...new Set(ids.map(String))];
+    if (unique.length === 0) throw badInput("ids is empty — pass at least one employee ID.");
+    if (unique.length > MAX_ITEMS) throw badInput(`That's ${unique.length} employees — the limit is ${MAX_ITEMS} per call.`);
+    return unique;
+  }
+
+  const query   = await buildEmployeeFilter(filter);
+  const matched = await Employee.find(query).sort({ created_at: 1, _id: 1 }).limit(MAX_ITEMS + 1).select("_id").lean();
+  if (matched.length > MAX_ITEMS)
+    throw badInput(`That filter matches more than ${MAX_ITEMS} employees — narrow it down or split it up.`);
+  return matched.map((e) => String(e._id));
+};
+
+// → { id, error, employee } for each id — error is null when the item can go ahead
+const checkTargets = async (ids, checkOne = async () => {}) => {
+  const valid    = ids.filter((id) => /^[a-f\d]{24}$/i.test(id));
+  const existing = await Employee.find({ _id: { $in: valid } });
+  const byId     = new Map(existing.map((e) => [String(e._id), e]));
+
+  const items = [];
+  for (const id of ids) {
+    const item = { id, error: null, employee: byId.get(id) || null };
+    try {
+      validateObjectId(id, id);
+      if (!item.employee) throw badInput(`Employee with ID "${id}" not found.`);
+      await checkOne(item.employee);
+    } catch (err) {
+      item.error = err.message;
+    }
+    items.push(item);
+  }
+  return items;
+};
+
+// ─── Writing ──────────────────────────────────────────────────────────────────
+
+// without a transaction (standalone mongod) each write pushes a step that puts it back
+const rollback = async (undo) => {
+  for (const step of undo.reverse()) await step().catch(() => {});
+};
+
+// runs `apply` on every item in one transaction — throws the first failure, with the item on it
+const applyTogether = (items, apply) =>
+  runInTransaction(async (session) => {
+    const undo = [];
+    let current = null;
+    try {
+      for (const item of items) {
+        current = item;
+        item.outcome = await apply(item, session, undo);
+      }
+    } catch (err) {
+      if (!session) await rollback(undo);
+      err.item = current;
+      throw err;
+    }
+  });
+
+// fills in committed + per-item success / error
+const applyAll = async (items, apply, allOrNothing) => {
+  const ready = items.filter((item) => !item.error);
+  const anyInvalid = ready.length < items.length;
+
+  if (allOrNothing) {
+    if (anyInvalid) {
+      ready.forEach((item) => (item.error = "Not applied — other items failed their checks (allOrNothing)."));
+      return false;
+    }
+    try {
+      await applyTogether(ready, apply);
+    } catch (err) {
+      ready.forEach((item) => {
+        item.outcome = null;
+        item.error   = item === err.item
+          ? err.message
+          : `Rolled back — employee ${err.item?.id} failed: ${err.message}`;
+      });
+      return false;
+    }
+    return true;
+  }
+
+  // one at a time, each on its own — a failure only costs that one item
+  for (const item of ready) {
+    try {
+      await applyTogether([item], apply);
+    } catch (err) {
+      item.outcome = null;
+      item.error   = err.message;
+    }
+  }
+  return ready.some((item) => !item.error);
+};
+
+const toResults = (items) =>
+  items.map((item) => ({
+    id:       item.id,
+    success:  !item.error,
+    error:    item.error,
+    employee: item.error ? null : item.outcome?.after ?? null,
+    outcome:  item.error ? null : item.outcome,
+  }));
+
+// ─── Bulk update ──────────────────────────────────────────────────────────────
+
+// results[].outcome = { before, after, salaryEntry } for the caller to audit
+const bulkUpdateEmployees = async ({ ids, filter, changes, allOrNothing = true, author = null }) => {
+  const plan    = await checkChanges(changes);
+  const targets = await resolveTargets({ ids, filter });
+
+  // the new manager is the same for everyone, but loops depend on who's being moved
+  const items = await checkTargets(targets, async (employee) => {
+    if (plan.manager) await validateManager(employee._id, plan.manager);
+  });
+
+  const apply = async ({ id }, session, undo) => {
+    const existing = await Employee.findById(id).session(session);
+    if (!existing) throw badInput(`Employee with ID "${id}" not found.`);
+    const before = snapshot(existing, EMPLOYEE_FIELDS);
+
+    const set = { ...plan.set };
+    if (plan.manager !== undefined) set.manager = plan.manager;
+
+    let after = existing;
+    if (Object.keys(set).length > 0) {
+      after = await Employee.findOneAndUpdate(
+        { _id: id },
+        { $set: set },
+        { new: true, runValidators: true, session }
+      );
+      undo.push(() => Employee.updateOne({ _id: id }, {
+        $set: Object.fromEntries(Object.keys(set).map((field) => [field, existing[field] ?? null])),
+      }));
+    }
+
+    let salaryEntry = null;
+    if (plan.salary !== undefined && plan.salary !== existing.salary) {
+      ({ entry: salaryEntry } = await addSalaryEntry(after, {
+        amount: plan.salary,
+        reason: plan.reason,
+        author,
+      }, { session }));
+      undo.push(async () => {
+        await SalaryEntry.deleteOne({ _id: salaryEntry._id });
+        await Employee.updateOne({ _id: id }, { $set: { salary: existing.salary } });
+      });
+      after = await Employee.findById(id).session(session);
+    }
+
+    return { before, after, salaryEntry };
+  };
+
+  const committed = await applyAll(items, apply, allOrNothing);
+  return { committed, results: toResults(items) };
+};
+
+// ─── Bulk delete ──────────────────────────────────────────────────────────────
+
+// Same soft delete as deleteEmployee: direct reports move up to the deleted employee's
+// manager and departments they headed are left without a head. When a manager and their
+// reports are deleted together the reports keep moving up until they land on someone
+// who's staying.
+//
+// results[].outcome = { before, after, reportIds, newManager, headed } for the caller to audit
+const bulkDeleteEmployees = async ({ ids, allOrNothing = true, actorId = null }) => {
+  const targets = await resolveTargets({ ids });
+  const items   = await checkTargets(targets);
+
+  const apply = async ({ id }, session, undo) => {
+    // read fresh — an earlier item in this batch may have just become their manager
+    const employee = await Employee.findById(id).session(session);
+    if (!employee) throw badInput(`Employee with ID "${id}" not found.`);
+    const before     = snapshot(employee, EMPLOYEE_FIELDS);
+    const newManager = employee.manager || null;
+
+    // only the live reports — deleted ones keep their manager, same as deleteEmployee
+    const reportIds = await Employee.find({ manager: id }).session(session).distinct("_id");
+    await Employee.updateMany({ _id: { $in: reportIds } }, { $set: { manager: newManager } }, { session });
+    undo.push(() => Employee.updateMany({ _id: { $in: reportIds } }, { $set: { manager: id } }));
+
+    await employee.softDelete(actorId);
+    undo.push(() => Employee.updateOne({ _id: id }, { $set: { deleted_at: null, deleted_by: null } }));
+
+    const headed = await Department.find({ head: id }).session(session).distinct("_id");
+    await Department.updateMany({ head: id }, { $set: { head: null } }, { session });
+    undo.push(() => Department.updateMany({ _id: { $in: headed } }, { $set: { head: id } }));
+
+    return { before, after: employee, reportIds, newManager, headed };
+  };
+
+  const committed = await applyAll(items, apply, allOrNothing);
+  return { committed, results: toResults(items) };
+};
+
+module.exports = { bulkUpdateEmployees, bulkDeleteEmployees, MAX_ITEMS };
@@ -0,0 +1,196 @@
+// utils/compensation.js
+// v1.0.0
+//
+// Salary changes go through here instead of writing Employee.salary directly.
+// Each change is a SalaryEntry (models/SalaryEntry.js); Employee.salary is kept in sync
+// with whichever entry is in effect today.
+//
+//   startHistory(employee, opts)      — first entry for a brand-new employee (their starting salary)
+//   startingEntry(employee, author)   — the same entry as a plain object, for insertMany in bulk imports
+//   addSalaryEntry(employee, change)  — records a raise / cut, now or on a future date
+//   salaryHistory(employee)           — every entry, newest effective date first, current one flagged
+//   syncSalary(employeeId)            — copies the entry in effect today onto the employee
+//   startSalaryJob()                  — applies future-dated entries once their day comes
+//
+// Employees created before history was tracked get a baseline entry (their salary on
+// record, dated the day they joined) the first time anything here touches them.
+//
+// The writers take an optional Mongo `session` so they can be part of a bigger transaction
+// (see utils/bulkEmployees.js) — leave it out and they run on their own like before.
+
+const SalaryEntry = require("../models/SalaryEntry");
+const Employee    = require("../models/Employee");
+const AuditLog    = require("../models/AuditLog");
+const logger      = require("./logger");
+const { EVENTS, publishEmployee } = require("./pubsub");
+const { WEBHOOK_EVENTS, emitWebhook } = require("./webhooks");
+const { invalidateResponseCache } = require("./responseCache");
+const { badInput } = require("./errors");
+const { requireField, validateSalary, validateDate } = require("./validators");
+
+const INTERVAL_MINUTES = parseFloat(process.env.SALARY_JOB_INTERVAL_MINUTES ?? "60");
+
+const authorFields = (author) => ({
+  author:          author?._id || null,
+  author_username: author?.username || null,
+});
+
+// the entry that should be on the employee right now — or, for someone who hasn't
+// started yet, their earliest (starting) entry
+const currentEntry = async (employeeId, session = null) =>
+  (await SalaryEntry.effectiveOn(employeeId).session(session)) ||
+  SalaryEntry.findOne({ employee: employeeId }).sort({ effective_date: 1, created_at: 1 }).session(session);
+
+const startingEntry = (employee, author = null, reason = "Starting salary") => ({
+  employee:       employee._id,
+  amount:         employee.salary,
+  effective_date: employee.date_of_joining,
+  reason,
+  applied:        true,
+  starting:       true,
+  ...authorFields(author),
+});
+
+// creates the first entry if there isn't one yet — returns true if it did.
+// An upsert against the one-starting-entry index, so two callers racing can't both create one.
+const startHistory = async (employee, { reason = "Starting salary", author = null, session = null } = {}) => {
+  if (await SalaryEntry.exists({ employee: employee._id }).session(session)) return false;
+
+  const { employee: employeeId, starting, ...entry } = startingEntry(employee, author, reason);
+  try {
+    const result = await SalaryEntry.updateOne(
+      { employee: employeeId, starting },
+      { $setOnInsert: entry },
+      { upsert: true, session }
+    );
+    return result.upsertedCount > 0;
+  } catch (err) {
+    // the other caller got there between our upsert's lookup and its insert
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+const ensureHistory = (employee, session = null) =>
+  startHistory(employee, { reason: "Salary on record before history was tracked", session });
+
+// sets Employee.salary from the current entry and marks everything that's due as applied.
+// Returns { before, after, deleted } so callers can audit it.
+const syncSalary = async (employeeId, session = null) => {
+  const entry = await currentEntry(employeeId, session);
+  if (!entry) return null;
+
+  // deleted employees too — if they're restored their salary should already be right
+  const employee = await Employee.findById(employeeId).setOptions({ withDeleted: true }).select("salary deleted_at").session(session);
+  if (!employee) return null; // purged — nothing left to sync
+
+  const before = employee.salary;
+  if (before !== entry.amount)
+    await Employee.updateOne({ _id: employeeId }, { $set: { salary: entry.amount } }, { session });
+
+  await SalaryEntry.updateMany(
+    { employee: employeeId, applied: false, effective_date: { $lte: new Date() } },
+    { $set: { applied: true } },
+    { session }
+  );
+  return { before, after: entry.amount, deleted: Boolean(employee.deleted_at) };
+};
+
+// change = { amount, effectiveDate, reason, author } — effectiveDate defaults to today
+// (or their start date, for someone who hasn't joined yet)
+const addSalaryEntry = async (employee, { amount, effectiveDate, reason, author }, { session = null } = {}) => {
+  validateSalary(amount);
+  requireField(reason, "reason");
+
+  const joined    = new Date(employee.date_of_joining);
+  const effective = effectiveDate
+    ? validateDate(effectiveDate, "effective_date")
+    : new Date(Math.max(Date.now(), joined.getTime()));
+  if (effective < joined)
+    throw badInput("A salary change can't take effect before the employee's date of joining.");
+
+  await ensureHistory(employee, session);
+
+  const [entry] = await SalaryEntry.create([{
+    employee:       employee._id,
+    amount:         parseFloat(amount),
+    effective_date: effective,
+    reason:         String(reason).trim(),
+    ...authorFields(author),
+  }], { session });
+
+  const change  = await syncSalary(employee._id, session);
+  const current = await currentEntry(employee._id, session);
+  entry.is_current = String(current?._id) === String(entry._id);
+  return { entry, change };
+};
+
+// newest effective date first; `is_current` marks the one Employee.salary comes from
+const salaryHistory = async (employee) => {
+  await ensureHistory(employee);
+
+  const [entries, current] = await Promise.all([
+    SalaryEntry.find({ employee: employee._id }).sort({ effective_date: -1, created_at: -1 }),
+    currentEntry(employee._id),
+  ]);
+
+  return entries.map((entry) => Object.assign(entry, { is_current: String(entry._id) === String(current?._id) }));
+};
+
+// ─── Future-dated raises ──────────────────────────────────────────────────────
+
+// syncs every employee with an entry that's due but not applied — returns how many changed
+const applyDueSalaryChanges = async () => {
+  const due = await SalaryEntry.find({ applied: false, effective_date: { $lte: new Date() } }).distinct("employee");
+
+  let changed = 0;
+  for (const employeeId of due) {
+    const change = await syncSalary(employeeId);
+    if (!change || change.before === change.after) continue;
+
+    changed++;
+    await AuditLog.record({
+      source:     "system",
+      route:      "salary job",
+      operation:  "employee.salary_change",
+      entityType: "employee",
+      entityId:   employeeId,
+      changes:    [{ field: "salary", before: change.before, after: change.after }],
+    });
+
+    // a deleted employee's salary is kept right for a restore, but as far as subscribers
+    // and webhooks are concerned they're gone
+    if (change.deleted) continue;
+    await publishEmployee(EVENTS.EMPLOYEE_UPDATED, employeeId);
+    await emitWebhook(WEBHOOK_EVENTS.EMPLOYEE_UPDATED, employeeId);
+  }
+  if (changed) await invalidateResponseCache("salary job");
+  return changed;
+};
+
+// runs now and then every SALARY_JOB_INTERVAL_MINUTES (default 60, 0 turns it off)
+const startSalaryJob = () => {
+  const run = () =>
+    applyDueSalaryChanges()
+      .then((changed) => {
+        if (changed > 0) logger.info(`Applied scheduled salary changes for ${changed} employee(s)`);
+      })
+      .catch((err) => logger.error(`Salary job failed: ${err.message}`));
+
+  run();
+  if (!(INTERVAL_MINUTES > 0)) return null;
+
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startHistory,
+  startingEntry,
+  addSalaryEntry,
+  salaryHistory,
+  syncSalary,
+  applyDueSalaryChanges,
+  startSalaryJob,
+};
@@ -0,0 +1,29 @@
+// utils/departments.js
+// v1.0.0
+//
+// Small helpers for turning whatever a client sent as "department" into a real
+// Department document. Shared by the GraphQL resolvers and the REST routes.
+//
+// A department can be referred to by any of:
+//   - its _id           "65f1c0ffee..."
+//   - its code          "ENG" (any case)
+//   - its exact name    "Engineering" (any case)
+
+const Department = require("../models/Department");
+const { badInput, notFound } = require("./errors");
+
+// returns the Department — throws if nothing matches
+const resolveDepartment = async (value, fieldName = "department") => {
+  const ref = String(value ?? "").trim();
+  if (!ref) throw badInput(`"${fieldName}" is required — you can't leave it empty.`);
+
+  let department = null;
+  if (/^[a-f\d]{24}$/i.test(ref)) department = await Department.findById(ref);
+  if (!department) department = await Department.findOne({ code: ref.toUpperCase() });
+  if (!department) department = await Department.findByName(ref);
+
+  if (!department) throw notFound(`Department "${ref}"`);
+  return department;
+};
+
+module.exports = { resolveDepartment };
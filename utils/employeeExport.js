@@ -0,0 +1,131 @@
+// utils/employeeExport.js
+// v1.0.0
+//
+// Streams employees out as CSV, JSON or NDJSON — used by GET /api/employees/export.
+//
+// Rows come off a Mongo cursor one at a time and are written straight to the response,
+// waiting for the client to catch up whenever the socket buffer is full. So memory stays
+// flat whether there are 50 employees or 500,000.
+//
+// Columns are picked by name (see COLUMNS). full_name and date_of_joining come out
+// exactly like the GraphQL Employee type has them (utils/employeeFormat.js), and the
+// department is flattened into department_code / department_name.
+
+const Employee   = require("../models/Employee");
+const Department = require("../models/Department");
+const { badInput } = require("./errors");
+const { fullName, isoDate, isoDateTime } = require("./employeeFormat");
+
+const FORMATS = {
+  csv:    { contentType: "text/csv; charset=utf-8",             extension: "csv" },
+  json:   { contentType: "application/json; charset=utf-8",     extension: "json" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+};
+
+// column name → how to get it from a (lean) employee row. `departments` is _id → Department.
+const COLUMNS = {
+  _id:             (e) => String(e._id),
+  first_name:      (e) => e.first_name,
+  last_name:       (e) => e.last_name,
+  full_name:       (e) => fullName(e),
+  email:           (e) => e.email,
+  gender:          (e) => e.gender,
+  designation:     (e) => e.designation,
+  salary:          (e) => e.salary,
+  date_of_joining: (e) => isoDate(e.date_of_joining),
+  department_id:   (e) => (e.department ? String(e.department) : null),
+  department_code: (e, departments) => departments.get(String(e.department))?.code ?? null,
+  department_name: (e, departments) => departments.get(String(e.department))?.name ?? null,
+  manager_id:      (e) => (e.manager ? String(e.manager) : null),
+  employee_photo:  (e) => e.employee_photo ?? null,
+  created_at:      (e) => isoDateTime(e.created_at),
+  updated_at:      (e) => isoDateTime(e.updated_at),
+};
+
+const DEFAULT_COLUMNS = [
+  "_id", "full_name", "first_name", "last_name", "email", "gender",
+  "designation", "salary", "date_of_joining", "department_code", "department_name",
+];
+
+// "email, full_name,salary" → ["email", "full_name", "salary"] — unknown names are an error
+const parseColumns = (value) => {
+  if (!value) return DEFAULT_COLUMNS;
+  const columns = String(value).split(",").map((c) => c.trim()).filter(Boolean);
+  const unknown = columns.filter((c) => !COLUMNS[c]);
+  if (unknown.length > 0)
+    throw badInput(`Unknown column(s): ${unknown.join(", ")}. Pick from: ${Object.keys(COLUMNS).join(", ")}.`);
+  if (columns.length === 0) return DEFAULT_COLUMNS;
+  return [...new Set(columns)];
+};
+
+const parseFormat = (value) => {
+  const format = String(value || "csv").toLowerCase();
+  if (!FORMATS[format]) throw badInput(`format has to be one of: ${Object.keys(FORMATS).join(", ")}.`);
+  return format;
+};
+
+// quotes when needed, and defuses values a spreadsheet would run as a formula (=, +, -, @)
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// writes and, if the socket's buffer is full, waits until it drains (or the client hangs up)
+const write = (res, chunk) => {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+};
+
+// sets the headers and streams every matching employee into `res`
+const streamEmployees = async (res, { query = {}, format = "csv", columns = DEFAULT_COLUMNS } = {}) => {
+  // departments are few — load them once instead of populating every row
+  const departments = new Map((await Department.find().lean()).map((d) => [String(d._id), d]));
+
+  const pick = (e) => Object.fromEntries(columns.map((c) => [c, COLUMNS[c](e, departments)]));
+
+  const { contentType, extension } = FORMATS[format];
+  const stamp = new Date().toISOString().split("T")[0];
+  res.status(200);
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="employees-${stamp}.${extension}"`);
+
+  const cursor = Employee.find(query).sort({ created_at: -1, _id: -1 }).lean().cursor();
+
+  // stop reading from Mongo if the client goes away halfway
+  let closed = false;
+  res.on("close", () => {
+    if (res.writableEnded) return;
+    closed = true;
+    cursor.close().catch(() => {});
+  });
+
+  let count = 0;
+  if (format === "csv")  await write(res, `${columns.map(csvCell).join(",")}\r\n`);
+  if (format === "json") await write(res, "[");
+
+  for await (const employee of cursor) {
+    if (closed) break;
+    const row = pick(employee);
+
+    if (format === "csv")    await write(res, `${columns.map((c) => csvCell(row[c])).join(",")}\r\n`);
+    if (format === "ndjson") await write(res, `${JSON.stringify(row)}\n`);
+    if (format === "json")   await write(res, `${count > 0 ? "," : ""}\n${JSON.stringify(row)}`);
+    count++;
+  }
+
+  if (format === "json") await write(res, "\n]\n");
+  res.end();
+  return count;
+};
+
+module.exports = { streamEmployees, parseColumns, parseFormat, COLUMNS, DEFAULT_COLUMNS };
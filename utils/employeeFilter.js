@@ -0,0 +1,156 @@
+// utils/employeeFilter.js
+// v1.1.0
+//
+// Turns the GraphQL EmployeeFilter / EmployeeSort inputs into a Mongo query and sort.
+//
+// Filter fields inside one EmployeeFilter are AND'ed together. For anything fancier,
+// nest filters with AND / OR:
+//
+//   { OR: [ { department: "<department id>" }, { salary_min: 100000 } ], gender: Female }
+//
+// Exact department / designation matches hit the indexes on models/Employee.js directly.
+// The *_contains variants are case-insensitive substring matches — the input is escaped
+// first so something like "C++" or ".*" is searched for literally instead of being
+// treated as a regex. department_contains looks at department names and codes, so it
+// costs one extra (small) query against the departments collection.
+//
+// Department IDs come out as real ObjectIds so the result also works as an
+// aggregation $match (which, unlike find, doesn't cast strings for us).
+//
+// buildEmployeeFilter trusts its input to be shaped like EmployeeFilter — GraphQL makes sure
+// of that. Filters from anywhere else (the REST export's ?filter= JSON) go through
+// coerceEmployeeFilter first, which checks them against the same schema type.
+
+const mongoose   = require("mongoose");
+const { buildASTSchema, coerceInputValue } = require("graphql");
+const Department = require("../models/Department");
+const { badInput } = require("./errors");
+const { validateDate, validateObjectId, VALID_GENDERS } = require("./validators");
+
+// nesting deeper than this is almost certainly a mistake (or someone poking at us)
+const MAX_FILTER_DEPTH = 5;
+
+const SORT_FIELDS = [
+  "first_name", "last_name", "email", "salary",
+  "date_of_joining", "department", "designation", "created_at",
+];
+
+// escapes every character that means something in a regex
+const escapeRegex = (str) => String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// case-insensitive "contains" match that's safe to build from user input
+const containsRegex = (str) => ({ $regex: escapeRegex(String(str).trim()), $options: "i" });
+
+// _ids of every department whose name or code contains `text` (case-insensitive)
+const departmentIdsMatching = (text) =>
+  Department.find({
+    $or: [{ name: containsRegex(text) }, { code: containsRegex(text) }],
+  }).distinct("_id");
+
+// the EmployeeFilter input type from graphql/typeDefs.js — built the first time it's needed
+let filterType = null;
+const employeeFilterType = () => {
+  if (!filterType) filterType = buildASTSchema(require("../graphql/typeDefs")).getType("EmployeeFilter");
+  return filterType;
+};
+
+// plain JSON → a value GraphQL would have accepted as an EmployeeFilter, or a BAD_USER_INPUT error
+// saying what's wrong with it ({"designation": 5}, {"AND": "x"}, {"salary_min": {"$gt": 0}}...)
+const coerceEmployeeFilter = (value) => {
+  if (value === null || value === undefined) return null;
+
+  const problems = [];
+  const coerced  = coerceInputValue(value, employeeFilterType(), (path, _invalid, error) => {
+    problems.push(`filter${path.map((p) => (typeof p === "number" ? `[${p}]` : `.${p}`)).join("")}: ${error.message}`);
+  });
+  if (problems.length) throw badInput(problems[0]);
+  return coerced;
+};
+
+const buildEmployeeFilter = async (filter, depth = 0) => {
+  if (!filter) return {};
+  if (depth > MAX_FILTER_DEPTH)
+    throw badInput(`Filters can only be nested ${MAX_FILTER_DEPTH} levels deep.`);
+
+  const conditions = [];
+
+  // ── salary range ──
+  const { salary_min, salary_max } = filter;
+  if (salary_min != null && salary_max != null && salary_min > salary_max)
+    throw badInput("salary_min can't be bigger than salary_max.");
+  if (salary_min != null || salary_max != null) {
+    const range = {};
+    if (salary_min != null) range.$gte = salary_min;
+    if (salary_max != null) range.$lte = salary_max;
+    conditions.push({ salary: range });
+  }
+
+  // ── date_of_joining range ──
+  const joinedAfter  = filter.joined_after  ? validateDate(filter.joined_after,  "joined_after")  : null;
+  const joinedBefore = filter.joined_before ? validateDate(filter.joined_before, "joined_before") : null;
+  if (joinedAfter && joinedBefore && joinedAfter > joinedBefore)
+    throw badInput("joined_after can't be later than joined_before.");
+  if (joinedAfter || joinedBefore) {
+    const range = {};
+    if (joinedAfter)  range.$gte = joinedAfter;
+    if (joinedBefore) range.$lte = joinedBefore;
+    conditions.push({ date_of_joining: range });
+  }
+
+  // ── gender ──
+  if (filter.gender) {
+    const genders = Array.isArray(filter.gender) ? filter.gender : [filter.gender];
+    genders.forEach((g) => {
+      if (!VALID_GENDERS.includes(g)) throw badInput("Gender must be Male, Female, or Other.");
+    });
+    conditions.push({ gender: { $in: genders } });
+  }
+
+  // ── department / designation — exact or partial ──
+  if (filter.department) {
+    validateObjectId(filter.department, "filter.department");
+    conditions.push({ department: new mongoose.Types.ObjectId(String(filter.department)) });
+  }
+  if (filter.department_contains) {
+    conditions.push({ department: { $in: await departmentIdsMatching(filter.department_contains) } });
+  }
+  if (filter.designation)          conditions.push({ designation: filter.designation.trim() });
+  if (filter.designation_contains) conditions.push({ designation: containsRegex(filter.designation_contains) });
+
+  // ── combinators ──
+  if (filter.AND?.length) {
+    conditions.push({ $and: await Promise.all(filter.AND.map((f) => buildEmployeeFilter(f, depth + 1))) });
+  }
+  if (filter.OR?.length) {
+    conditions.push({ $or: await Promise.all(filter.OR.map((f) => buildEmployeeFilter(f, depth + 1))) });
+  }
+
+  if (conditions.length === 0) return {};
+  if (conditions.length === 1) return conditions[0];
+  return { $and: conditions };
+};
+
+// [{ field: "salary", direction: DESC }, { field: "last_name" }] → { salary: -1, last_name: 1, _id: 1 }
+// (sorting by department groups employees by department, not alphabetically by name)
+// _id always goes last so rows with equal values come back in the same order every time
+const buildEmployeeSort = (sort) => {
+  if (!sort?.length) return { created_at: -1, _id: -1 };
+
+  const result = {};
+  sort.forEach(({ field, direction = "ASC" }) => {
+    if (!SORT_FIELDS.includes(field)) throw badInput(`Can't sort by "${field}".`);
+    if (field in result) throw badInput(`"${field}" appears in sort more than once.`);
+    result[field] = direction === "DESC" ? -1 : 1;
+  });
+  if (!("_id" in result)) result._id = 1;
+  return result;
+};
+
+module.exports = {
+  buildEmployeeFilter,
+  coerceEmployeeFilter,
+  buildEmployeeSort,
+  escapeRegex,
+  containsRegex,
+  departmentIdsMatching,
+};
@@ -0,0 +1,16 @@
+// utils/employeeFormat.js
+// v1.0.0
+//
+// The computed employee fields, in one place so the GraphQL Employee resolvers and the
+// export endpoint (utils/employeeExport.js) can't drift apart.
+
+// "Alice Johnson"
+const fullName = (e) => `${e.first_name} ${e.last_name}`;
+
+// date_of_joining is a calendar date — "2024-01-15", no time part
+const isoDate = (date) => (date ? new Date(date).toISOString().split("T")[0] : null);
+
+// timestamps keep the time — "2024-01-15T09:30:00.000Z"
+const isoDateTime = (date) => (date ? new Date(date).toISOString() : null);
+
+module.exports = { fullName, isoDate, isoDateTime };
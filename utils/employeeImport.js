@@ -0,0 +1,233 @@
+// utils/employeeImport.js
+// v1.0.0
+//
+// Bulk employee import from a CSV file — used by POST /api/employees/import.
+//
+// The header row names the columns (any order, any case):
+//   required: first_name, last_name, email, gender, designation, salary, date_of_joining, department
+//   optional: manager (an existing employee's _id or email), employee_photo (URL)
+//
+// Every row goes through the same checks as a single add:
+//   1. employeeValidationRules (utils/validators.js) — run against the row like it was a request body
+//   2. the department / manager lookups
+//   3. the Employee schema validators (lengths, email format...)
+//   4. duplicate emails — against earlier rows in the file and against the database
+//      (deleted-but-not-purged employees included, same as addEmployee)
+//
+// importEmployees(buffer, { commit }) always returns a per-row report. In dry-run mode
+// that's all it does. In commit mode it inserts every row in one transaction — but only
+// if every row is valid; one bad row and nothing is written, so fix the file and send it again.
+
+const { parse } = require("csv-parse/sync");
+const { validationResult } = require("express-validator");
+const Employee    = require("../models/Employee");
+const SalaryEntry = require("../models/SalaryEntry");
+const { badInput } = require("./errors");
+const { employeeValidationRules } = require("./validators");
+const { resolveDepartment } = require("./departments");
+const { startingEntry } = require("./compensation");
+const { photoFromUrl } = require("./photoStorage");
+const { runInTransaction } = require("./transaction");
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || "1000", 10);
+
+const REQUIRED_COLUMNS = [
+  "first_name", "last_name", "email", "gender",
+  "designation", "salary", "date_of_joining", "department",
+];
+const OPTIONAL_COLUMNS = ["manager", "employee_photo"];
+
+const normalizeEmail = (email) => String(email || "").toLowerCase().trim();
+
+// CSV text → [{ line, values }] — throws badInput if the file itself is unusable
+const parseEmployeeCsv = (buffer) => {
+  let header = [];
+  let records;
+  try {
+    records = parse(buffer, {
+      bom:              true,
+      trim:             true,
+      skip_empty_lines: true,
+      info:             true,
+      columns:          (names) => (header = names.map((n) => String(n).trim().toLowerCase())),
+    });
+  } catch (err) {
+    throw badInput(`Couldn't read that CSV: ${err.message}`);
+  }
+
+  const missing = REQUIRED_COLUMNS.filter((c) => !header.includes(c));
+  if (missing.length > 0) throw badInput(`The CSV is missing these columns: ${missing.join(", ")}.`);
+
+  const unknown = header.filter((c) => !REQUIRED_COLUMNS.includes(c) && !OPTIONAL_COLUMNS.includes(c));
+  if (unknown.length > 0) throw badInput(`The CSV has columns we don't know: ${unknown.join(", ")}.`);
+
+  if (records.length === 0) throw badInput("The CSV only has a header — there are no employees in it.");
+  if (records.length > MAX_ROWS)
+    throw badInput(`That's ${records.length} rows — the limit is ${MAX_ROWS} per file. Split it up.`);
+
+  // line numbers match what you'd see in a spreadsheet (header is line 1)
+  return records.map(({ record, info }) => ({ line: info.lines, values: record }));
+};
+
+// the same express-validator chains the REST routes use, run against one row
+const runValidationRules = async (values) => {
+  const req = { body: { ...values } };
+  await Promise.all(employeeValidationRules().map((rule) => rule.run(req)));
+  return validationResult(req).array().map((e) => e.msg);
+};
+
+// manager column: an existing employee's _id or email
+const findManager = async (ref) => {
+  const value = String(ref).trim();
+  return /^[a-f\d]{24}$/i.test(value)
+    ? Employee.findById(value)
+    : Employee.findOne({ email: normalizeEmail(value) });
+};
+
+// lookups repeat a lot in a big file (everyone's in one of a few departments) — only do each once
+const memoize = (fn) => {
+  const cache = new Map();
+  return (key) => {
+    const k = String(key).trim().toLowerCase();
+    if (!cache.has(k)) cache.set(k, fn(key).catch((err) => err));
+    return cache.get(k);
+  };
+};
+
+// → { line, email, errors, doc } — doc is an unsaved Employee when there are no errors
+const checkRow = async ({ line, values }, lookups) => {
+  const errors = await runValidationRules(values);
+
+  let department = null;
+  if (values.department) {
+    const result = await lookups.department(values.department);
+    if (result instanceof Error) errors.push(result.message);
+    else department = result;
+  }
+
+  let manager = null;
+  if (values.manager) {
+    const result = await lookups.manager(values.manager);
+    if (result instanceof Error) throw result;
+    if (!result) errors.push(`Manager "${values.manager}" isn't an existing employee.`);
+    else manager = result;
+  }
+
+  if (errors.length > 0) return { line, email: values.email || null, errors, doc: null };
+
+  const photo = photoFromUrl(values.employee_photo);
+  const doc = new Employee({
+    first_name:      values.first_name,
+    last_name:       values.last_name,
+    email:           values.email,
+    gender:          values.gender,
+    designation:     values.designation,
+    salary:          parseFloat(values.salary),
+    date_of_joining: new Date(values.date_of_joining),
+    department:      department._id,
+    manager:         manager?._id ?? null,
+    employee_photo:  values.employee_photo || null,
+    photo_public_id:  photo.key,
+    photo_renditions: photo.renditions,
+  });
+
+  try {
+    await doc.validate();
+  } catch (err) {
+    const messages = err.errors ? Object.values(err.errors).map((e) => e.message) : [err.message];
+    return { line, email: values.email, errors: messages, doc: null };
+  }
+
+  return { line, email: values.email, errors: [], doc };
+};
+
+// flags every row whose email shows up earlier in the file or already exists in the database
+const checkDuplicateEmails = async (results) => {
+  const emails = results.map((r) => normalizeEmail(r.email)).filter(Boolean);
+  const taken  = await Employee.find({ email: { $in: emails } })
+    .setOptions({ withDeleted: true })
+    .select("email deleted_at");
+  const takenBy = new Map(taken.map((e) => [e.email, e]));
+
+  const firstLine = new Map();
+  results.forEach((r) => {
+    const email = normalizeEmail(r.email);
+    if (!email) return;
+
+    const existing = takenBy.get(email);
+    if (existing) {
+      r.errors.push(existing.deleted_at
+        ? `"${r.email}" belongs to a deleted employee (${existing._id}) — restore them instead.`
+        : `An employee with email "${r.email}" already exists.`);
+    }
+
+    if (firstLine.has(email)) r.errors.push(`Same email as line ${firstLine.get(email)} of this file.`);
+    else firstLine.set(email, r.line);
+
+    if (r.errors.length > 0) r.doc = null;
+  });
+};
+
+// inserts the employees and their starting salary entries — all of them or none
+const insertAll = (docs, author) =>
+  runInTransaction(async (session) => {
+    try {
+      await Employee.insertMany(docs, { session, ordered: true });
+      await SalaryEntry.insertMany(docs.map((d) => startingEntry(d, author)), { session, ordered: true });
+    } catch (err) {
+      // no transaction (standalone mongod) — undo whatever made it in by hand
+      if (!session) {
+        const ids = docs.map((d) => d._id);
+        await Employee.deleteMany({ _id: { $in: ids } });
+        await SalaryEntry.deleteMany({ employee: { $in: ids } });
+      }
+      throw err;
+    }
+  });
+
+// → { report, employees } — employees is what got inserted (empty for dry runs / refused commits)
+const importEmployees = async (buffer, { commit = false, author = null } = {}) => {
+  const rows = parseEmployeeCsv(buffer);
+
+  const lookups = {
+    department: memoize((value) => resolveDepartment(value)),
+    manager:    memoize((value) => findManager(value)),
+  };
+
+  // one at a time — keeps the lookups cached and the load on the database predictable
+  const results = [];
+  for (const row of rows) results.push(await checkRow(row, lookups));
+  await checkDuplicateEmails(results);
+
+  const valid   = results.filter((r) => r.errors.length === 0);
+  const invalid = results.length - valid.length;
+
+  const committed = commit && invalid === 0;
+  if (committed) await insertAll(valid.map((r) => r.doc), author);
+
+  const status = (r) => {
+    if (r.errors.length > 0) return "invalid";
+    return committed ? "inserted" : "valid";
+  };
+
+  return {
+    report: {
+      mode:         commit ? "commit" : "dry-run",
+      committed,
+      total_rows:   results.length,
+      valid_rows:   valid.length,
+      invalid_rows: invalid,
+      inserted:     committed ? valid.length : 0,
+      rows:         results.map((r) => ({
+        line:        r.line,
+        email:       r.email,
+        status:      status(r),
+        errors:      r.errors,
+        employee_id: committed ? r.doc._id : null,
+      })),
+    },
+    employees: committed ? valid.map((r) => r.doc) : [],
+  };
+};
+
+module.exports = { importEmployees, parseEmployeeCsv, REQUIRED_COLUMNS, OPTIONAL_COLUMNS, MAX_ROWS };
@@ -0,0 +1,97 @@
+// utils/employeeSearch.js
+// v1.0.0
+//
+// Two kinds of search, shared by the GraphQL resolvers and the REST routes:
+//
+//   textSearch(query)  — full-text search over first_name, last_name, designation and the
+//                        department's name and code, using employee_search_text_index on
+//                        models/Employee.js. Departments are their own collection, so each
+//                        employee carries a copy of its department's name and code for this.
+//                        Results are ranked by Mongo's text score (best match first),
+//                        and the score comes back with each result.
+//
+//   typeahead(prefix)  — as-you-type matching on names for people-pickers.
+//                        "al jo" matches "Alice Johnson": every word has to be the start
+//                        of the first or last name.
+//
+//   ensureSearchIndex() — run once on startup (server.js). Swaps out any older text index
+//                        (Mongo only allows one, so the new one can't be built next to it) and
+//                        fills in department_name / department_code where they're missing or stale.
+
+const Employee   = require("../models/Employee");
+const Department = require("../models/Department");
+const logger     = require("./logger");
+const { badInput } = require("./errors");
+const { escapeRegex } = require("./employeeFilter");
+
+const TEXT_INDEX = "employee_search_text_index";
+
+const MAX_RESULTS       = 100;
+const DEFAULT_RESULTS   = 20;
+const DEFAULT_TYPEAHEAD = 10;
+
+const clampLimit = (limit, fallback) => Math.min(MAX_RESULTS, Math.max(1, parseInt(limit, 10) || fallback));
+
+// returns [{ score, employee }] — best match first
+// `select` ("first_name last_name ...") trims what's read for each row — see utils/projection.js
+const textSearch = async (query, { limit, select = null } = {}) => {
+  const text = String(query || "").trim();
+  if (!text) throw badInput("Search text can't be empty.");
+  if (text.length > 200) throw badInput("Search text can't be longer than 200 characters.");
+
+  const rows = await Employee.find(
+    { $text: { $search: text } },
+    { score: { $meta: "textScore" }, ...(select && Object.fromEntries(select.split(" ").map((f) => [f, 1]))) }
+  )
+    .sort({ score: { $meta: "textScore" }, _id: 1 })
+    .limit(clampLimit(limit, DEFAULT_RESULTS))
+    .lean();
+
+  return rows.map(({ score, ...raw }) => ({ score, employee: Employee.hydrate(raw) }));
+};
+
+// returns employees whose first / last name start with every word typed, alphabetical
+const typeahead = async (prefix, { limit, select = null } = {}) => {
+  const words = String(prefix || "").trim().split(/\s+/).filter(Boolean).slice(0, 5);
+  if (words.length === 0) return [];
+
+  const query = {
+    $and: words.map((word) => {
+      const startsWith = { $regex: `^${escapeRegex(word)}`, $options: "i" };
+      return { $or: [{ first_name: startsWith }, { last_name: startsWith }] };
+    }),
+  };
+
+  return Employee.find(query)
+    .sort({ first_name: 1, last_name: 1, _id: 1 })
+    .limit(clampLimit(limit, DEFAULT_TYPEAHEAD))
+    .select(select);
+};
+
+// ─── Startup ──────────────────────────────────────────────────────────────────
+
+const ensureSearchIndex = async () => {
+  const indexes = await Employee.collection.indexes().catch(() => []);
+  for (const index of indexes) {
+    if (index.name === TEXT_INDEX || !Object.values(index.key).includes("text")) continue;
+    await Employee.collection.dropIndex(index.name);
+    logger.info(`Dropped the old text index "${index.name}" — ${TEXT_INDEX} replaces it`);
+  }
+  await Employee.createIndexes();
+
+  // renames made before the copies existed (or straight in the database) — updateMany sees deleted rows too
+  let fixed = 0;
+  for (const department of await Department.find().select("name code").lean()) {
+    const { modifiedCount } = await Employee.updateMany(
+      {
+        department: department._id,
+        $or: [{ department_name: { $ne: department.name } }, { department_code: { $ne: department.code } }],
+      },
+      { $set: { department_name: department.name, department_code: department.code } }
+    );
+    fixed += modifiedCount;
+  }
+  if (fixed) logger.info(`Filled in the department name / code on ${fixed} employee(s) for search`);
+};
+
+module.exports = { textSearch, typeahead, ensureSearchIndex };
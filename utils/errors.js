@@ -23,5 +23,10 @@ const badInput    = (message) => new AppError(message, "BAD_USER_INPUT", 400);
 const conflict    = (message) => new AppError(message, "CONFLICT", 409);
 const unauth      = (message = "You need to be logged in to do that.") =>
   new AppError(message, "UNAUTHENTICATED", 401);
+const forbidden   = (message = "You don't have permission to do that.") =>
+  new AppError(message, "FORBIDDEN", 403);
+const tooManyRequests = (message = "Too many attempts. Slow down and try again shortly.") =>
+  new AppError(message, "TOO_MANY_REQUESTS", 429);
+const tooComplex  = (message) => new AppError(message, "QUERY_TOO_COMPLEX", 400);
 
-module.exports = { AppError, notFound, badInput, conflict, unauth };
\ No newline at end of file
+module.exports = { AppError, notFound, badInput, conflict, unauth, forbidden, tooManyRequests, tooComplex };
\ No newline at end of file
@@ -0,0 +1,69 @@
+// utils/loaders.js
+// v1.0.0
+//
+// Per-request DataLoaders, so relation fields don't turn into one query per row.
+//
+// Without them, a page of 20 employees asking for `manager { full_name }` and
+// `department { name }` costs 1 + 20 + 20 queries. With them every field resolver asks its
+// loader, the loader waits until the end of the tick, and then fetches all the ids it was
+// asked for with a single $in — 1 + 1 + 1.
+//
+// buildContext (middleware/auth.js) makes a fresh set for every request, so nothing is
+// cached between requests or between users. Subscriptions get a set with caching off —
+// one context lives as long as the socket, and an employee cached on the first event
+// would be stale by the tenth. They still batch.
+//
+//   employee       — Employee by _id (deleted ones come back as null, same as findById)
+//   user           — User by _id
+//   department     — Department by _id
+//   webhook        — Webhook by _id (without its secret), for the delivery log
+//   directReports  — a manager's _id → their direct reports, sorted by name
+//   headcount      — a department's _id → how many employees are in it
+
+const DataLoader = require("dataloader");
+const mongoose   = require("mongoose");
+const Employee   = require("../models/Employee");
+const User       = require("../models/User");
+const Department = require("../models/Department");
+const Webhook    = require("../models/Webhook");
+
+// one find() for all the ids, handed back in the order they were asked for (null if missing)
+const byId = (Model) => async (ids) => {
+  const docs = await Model.find({ _id: { $in: ids } });
+  const map  = new Map(docs.map((d) => [String(d._id), d]));
+  return ids.map((id) => map.get(id) || null);
+};
+
+const directReportsOf = async (managerIds) => {
+  const reports = await Employee.find({ manager: { $in: managerIds } }).sort({ first_name: 1, last_name: 1 });
+  const groups  = new Map(managerIds.map((id) => [id, []]));
+  reports.forEach((e) => groups.get(String(e.manager))?.push(e));
+  return managerIds.map((id) => groups.get(id));
+};
+
+const headcountOf = async (departmentIds) => {
+  const counts = await Employee.aggregate([
+    { $match: { department: { $in: departmentIds.map((id) => new mongoose.Types.ObjectId(id)) } } },
+    { $group: { _id: "$department", count: { $sum: 1 } } },
+  ]);
+  const map = new Map(counts.map((c) => [String(c._id), c.count]));
+  return departmentIds.map((id) => map.get(id) || 0);
+};
+
+// ObjectIds and strings for the same id should hit the same cache entry
+const cacheKeyFn = (id) => String(id);
+
+const createLoaders = ({ cache = true } = {}) => {
+  const options = { cache, cacheKeyFn };
+  const loader  = (batch) => new DataLoader((ids) => batch(ids.map(String)), options);
+  return {
+    employee:      loader(byId(Employee)),
+    user:          loader(byId(User)),
+    department:    loader(byId(Department)),
+    webhook:       loader(byId(Webhook)),
+    directReports: loader(directReportsOf),
+    headcount:     loader(headcountOf),
+  };
+};
+
+module.exports = { createLoaders };
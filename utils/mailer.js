@@ -0,0 +1,133 @@
+// utils/mailer.js
+// v1.0.0
+//
+// Tiny mail layer with swappable transports, picked by MAIL_TRANSPORT in .env:
+//
+//   console — (default outside production) prints the email to the log. Reset and verification
+//             tokens are blanked out — they'd be working account-takeover links sitting in the
+//             logs otherwise. Use `file` locally when you need to click the link.
+//   file    — writes each email as a JSON file into MAIL_FILE_DIR (default ./tmp/mail).
+//             Handy for tests: read the newest file to grab the reset / verify link.
+//   smtp    — real emails through nodemailer, using SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS.
+//
+// With NODE_ENV=production there's no default — MAIL_TRANSPORT has to be set, or the server
+// refuses to start (server.js picks the transport on startup).
+//
+// A transport is just an object with an async send({ to, subject, text, html }, { secrets })
+// method, so adding another one (SendGrid, SES...) is one registerTransport() call. `secrets`
+// are the tokens inside the text, for transports that write somewhere they shouldn't end up.
+
+const fs         = require("fs/promises");
+const path       = require("path");
+const nodemailer = require("nodemailer");
+const logger     = require("./logger");
+
+const MAIL_FROM = process.env.MAIL_FROM || "Employee Management <no-reply@comp3133.local>";
+const APP_URL   = process.env.APP_URL   || `http://localhost:${process.env.PORT || 4000}`;
+
+// ─── Built-in transports ──────────────────────────────────────────────────────
+
+// first few characters are enough to tell two emails apart, and useless to anyone else
+const redact = (text, secrets = []) =>
+  secrets.filter(Boolean).reduce((out, secret) => out.split(secret).join(`${secret.slice(0, 4)}…[redacted]`), text);
+
+const consoleTransport = () => ({
+  send: async (mail, { secrets } = {}) => {
+    logger.info(`📧  Email to ${mail.to} — "${mail.subject}"\n${redact(mail.text, secrets)}`);
+  },
+});
+
+const fileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || "tmp/mail");
+  return {
+    send: async (mail) => {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${mail.to.replace(/[^a-z0-9@._-]/gi, "_")}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...mail, sent_at: new Date().toISOString() }, null, 2));
+      logger.debug(`Email to ${mail.to} written to ${file}`);
+    },
+  };
+};
+
+const smtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host:   process.env.SMTP_HOST,
+    port:   parseInt(process.env.SMTP_PORT || "587", 10),
+    secure: process.env.SMTP_SECURE === "true",
+    auth:   process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+  return {
+    send: (mail) => transporter.sendMail(mail),
+  };
+};
+
+const transports = {
+  console: consoleTransport,
+  file:    fileTransport,
+  smtp:    smtpTransport,
+};
+
+let active = null;
+
+// register a custom transport factory: registerTransport("ses", () => ({ send: async (mail) => ... }))
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  active = null; // pick it up on the next send if MAIL_TRANSPORT points at it
+};
+
+const getTransport = () => {
+  if (active) return active;
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production")
+    throw new Error("MAIL_TRANSPORT isn't set — pick one (smtp, file...) before running in production.");
+
+  const name    = process.env.MAIL_TRANSPORT || "console";
+  const factory = transports[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}" — use one of: ${Object.keys(transports).join(", ")}`);
+  active = factory();
+  return active;
+};
+
+// ─── Sending ──────────────────────────────────────────────────────────────────
+
+const sendMail = async ({ to, subject, text, html, secrets = [] }) => {
+  await getTransport().send({ from: MAIL_FROM, to, subject, text, html }, { secrets });
+};
+
+const sendPasswordResetEmail = (user, token, ttlMinutes) => {
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  return sendMail({
+    to:      user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Someone (hopefully you) asked to reset your password. Use this link within ${ttlMinutes} minutes:\n\n` +
+      `${link}\n\n` +
+      `Or call the resetPassword mutation with this token:\n${token}\n\n` +
+      "If it wasn't you, just ignore this email — your password hasn't changed.",
+    secrets: [token],
+  });
+};
+
+const sendVerificationEmail = (user, token, ttlHours) => {
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  return sendMail({
+    to:      user.email,
+    subject: "Confirm your email address",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Thanks for signing up! Confirm your email within ${ttlHours} hours:\n\n` +
+      `${link}\n\n` +
+      `Or call the verifyEmail mutation with this token:\n${token}`,
+    secrets: [token],
+  });
+};
+
+module.exports = {
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  registerTransport,
+  getTransport,
+};
@@ -0,0 +1,131 @@
+// utils/orgChart.js
+// v1.0.0
+//
+// Reporting-line helpers. Every employee can have a `manager` (another employee);
+// everything here walks those links with $graphLookup so a whole chain or subtree
+// comes back in a single round-trip instead of one query per level.
+//
+//   managementChain(id)         — their manager, their manager's manager, ... up to the top
+//   buildOrgChart(rootId, depth) — nested tree of reports under someone (or under every
+//                                  top-level employee if no rootId)
+//   validateManager(id, mgrId)   — throws if the new manager doesn't exist, is themselves,
+//                                  or reports to them somewhere down the line (a cycle)
+
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const { badInput, notFound } = require("./errors");
+const { validateObjectId } = require("./validators");
+
+const DEFAULT_CHART_DEPTH = 3;
+const MAX_CHART_DEPTH     = 10;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// [direct manager, skip-level manager, ..., top] — empty if they have no manager
+const managementChain = async (employeeId) => {
+  const [row] = await Employee.aggregate([
+    { $match: { _id: toObjectId(employeeId) } },
+    {
+      $graphLookup: {
+        from:             Employee.collection.name,
+        startWith:        "$manager",
+        connectFromField: "manager",
+        connectToField:   "_id",
+        as:               "chain",
+        depthField:       "level",
+        // the aggregate hook only filters the starting rows — deleted managers/reports are skipped here
+        restrictSearchWithMatch: { deleted_at: null },
+      },
+    },
+  ]);
+  if (!row) return [];
+
+  return row.chain
+    .sort((a, b) => a.level - b.level)
+    .map(({ level, ...raw }) => Employee.hydrate(raw));
+};
+
+// nested { employee, depth, reports, has_more_reports } nodes, `depth` levels deep.
+// has_more_reports is true on the bottom row when there are people further down that got cut off.
+const buildOrgChart = async (rootId, depth = DEFAULT_CHART_DEPTH) => {
+  const maxDepth = Math.min(MAX_CHART_DEPTH, Math.max(1, parseInt(depth, 10) || DEFAULT_CHART_DEPTH));
+
+  let rootMatch;
+  if (rootId) {
+    validateObjectId(rootId, "rootId");
+    rootMatch = { _id: toObjectId(rootId) };
+  } else {
+    rootMatch = { manager: null };
+  }
+
+  const rows = await Employee.aggregate([
+    { $match: rootMatch },
+    { $sort: { first_name: 1, last_name: 1, _id: 1 } },
+    {
+      $graphLookup: {
+        from:             Employee.collection.name,
+        startWith:        "$_id",
+        connectFromField: "_id",
+        connectToField:   "manager",
+        as:               "descendants",
+        maxDepth:         maxDepth - 1,
+        depthField:       "level",
+        restrictSearchWithMatch: { deleted_at: null },
+      },
+    },
+  ]);
+  if (rootId && rows.length === 0) throw notFound(`Employee with ID "${rootId}"`);
+
+  // who on the bottom row still has reports below the cut-off?
+  const bottomRowIds  = rows.flatMap((r) => r.descendants.filter((d) => d.level === maxDepth - 1).map((d) => d._id));
+  const managersBelow = new Set(
+    (await Employee.distinct("manager", { manager: { $in: bottomRowIds } })).map(String)
+  );
+
+  const sortByName = (a, b) =>
+    a.first_name.localeCompare(b.first_name) || a.last_name.localeCompare(b.last_name);
+
+  return rows.map(({ descendants, ...root }) => {
+    const byManager = new Map();
+    descendants.forEach(({ level, ...raw }) => {
+      const key = String(raw.manager);
+      if (!byManager.has(key)) byManager.set(key, []);
+      byManager.get(key).push(raw);
+    });
+
+    const build = (raw, level) => {
+      const children = (byManager.get(String(raw._id)) || []).sort(sortByName);
+      const atBottom = level === maxDepth;
+      return {
+        employee:         Employee.hydrate(raw),
+        depth:            level,
+        reports:          atBottom ? [] : children.map((c) => build(c, level + 1)),
+        has_more_reports: atBottom && managersBelow.has(String(raw._id)),
+      };
+    };
+
+    return build(root, 0);
+  });
+};
+
+// throws unless `managerId` is a fine manager for `employeeId` (employeeId is null for new hires)
+const validateManager = async (employeeId, managerId) => {
+  validateObjectId(managerId, "manager");
+
+  if (employeeId && String(employeeId) === String(managerId))
+    throw badInput("An employee can't be their own manager.");
+
+  const manager = await Employee.findById(managerId);
+  if (!manager) throw notFound(`Manager with ID "${managerId}"`);
+
+  // a brand-new employee has no reports yet, so they can't be part of a cycle
+  if (employeeId) {
+    const chain = await managementChain(managerId);
+    if (chain.some((e) => String(e._id) === String(employeeId)))
+      throw badInput(`That would create a reporting loop — ${manager.first_name} ${manager.last_name} already reports up to this employee.`);
+  }
+
+  return manager;
+};
+
+module.exports = { managementChain, buildOrgChart, validateManager, MAX_CHART_DEPTH };
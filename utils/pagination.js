@@ -0,0 +1,113 @@
+// utils/pagination.js
+// v1.0.0
+//
+// Relay-style cursor pagination for Mongo collections.
+//
+// Why not skip/limit? skip gets slower the deeper you page (Mongo still walks every
+// skipped document), and if someone adds an employee while you're paging, every row
+// shifts by one so you see duplicates or miss rows. Cursors don't have either problem:
+// each page starts right after the last row you saw.
+//
+// Rows are ordered newest first by created_at, with _id as a tie-breaker so two rows
+// created in the same millisecond still have a stable order. A cursor is just those
+// two values, base64url-encoded — clients should treat it as an opaque string.
+//
+// Usage:
+//   const connection = await paginate(Employee, { department: "Engineering" }, args);
+//   const connection = await paginate(Employee, {}, args, { select: "first_name last_name created_at" });
+//
+// A `select` has to keep created_at — the cursors are made from it.
+
+const { badInput } = require("./errors");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE     = 100;
+
+const encodeCursor = (doc) =>
+  Buffer.from(JSON.stringify({ c: doc.created_at.toISOString(), i: String(doc._id) })).toString("base64url");
+
+const decodeCursor = (cursor, argName) => {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    const createdAt = new Date(c);
+    if (isNaN(createdAt) || !/^[a-f\d]{24}$/i.test(i)) throw new Error("bad cursor");
+    return { createdAt, id: i };
+  } catch {
+    throw badInput(`"${argName}" isn't a valid cursor — use one from a previous page.`);
+  }
+};
+
+// everything that comes AFTER the cursor in newest-first order (i.e. older rows)
+const olderThan = ({ createdAt, id }) => ({
+  $or: [
+    { created_at: { $lt: createdAt } },
+    { created_at: createdAt, _id: { $lt: id } },
+  ],
+});
+
+// everything that comes BEFORE the cursor in newest-first order (i.e. newer rows)
+const newerThan = ({ createdAt, id }) => ({
+  $or: [
+    { created_at: { $gt: createdAt } },
+    { created_at: createdAt, _id: { $gt: id } },
+  ],
+});
+
+const clampPageSize = (n, argName) => {
+  if (n === undefined || n === null) return null;
+  if (!Number.isInteger(n) || n < 0) throw badInput(`"${argName}" has to be a positive whole number.`);
+  return Math.min(MAX_PAGE_SIZE, n);
+};
+
+// builds a { edges, pageInfo, totalCount } connection for `Model.find(baseQuery)` —
+// totalCount is a function, so GraphQL only runs the count when a query asks for it
+const paginate = async (Model, baseQuery, { first, after, last, before } = {}, { select = null } = {}) => {
+  let pageFirst = clampPageSize(first, "first");
+  const pageLast = clampPageSize(last, "last");
+
+  if (pageFirst !== null && pageLast !== null)
+    throw badInput('Pass either "first" or "last", not both.');
+  if (pageFirst === null && pageLast === null) pageFirst = DEFAULT_PAGE_SIZE;
+
+  const afterCursor  = after  ? decodeCursor(after,  "after")  : null;
+  const beforeCursor = before ? decodeCursor(before, "before") : null;
+
+  const conditions = [baseQuery];
+  if (afterCursor)  conditions.push(olderThan(afterCursor));
+  if (beforeCursor) conditions.push(newerThan(beforeCursor));
+  const query = { $and: conditions };
+
+  const forward = pageFirst !== null;
+  const size    = forward ? pageFirst : pageLast;
+
+  // grab one extra row so we know if there's another page in this direction
+  const sort = forward ? { created_at: -1, _id: -1 } : { created_at: 1, _id: 1 };
+  const rows = size > 0 ? await Model.find(query).sort(sort).limit(size + 1).select(select) : [];
+
+  const hasMore = rows.length > size;
+  const nodes   = hasMore ? rows.slice(0, size) : rows;
+  if (!forward) nodes.reverse();
+
+  // the other direction: is there anything on the far side of the cursor we started from?
+  let hasOtherSide = false;
+  if (forward && afterCursor) {
+    hasOtherSide = !!(await Model.exists({ $and: [baseQuery, newerThan(afterCursor)] }));
+  } else if (!forward && beforeCursor) {
+    hasOtherSide = !!(await Model.exists({ $and: [baseQuery, olderThan(beforeCursor)] }));
+  }
+
+  const edges = nodes.map((node) => ({ cursor: encodeCursor(node), node }));
+
+  return {
+    edges,
+    totalCount: () => Model.countDocuments(baseQuery),
+    pageInfo: {
+      hasNextPage:     forward ? hasMore : hasOtherSide,
+      hasPreviousPage: forward ? hasOtherSide : hasMore,
+      startCursor:     edges[0]?.cursor || null,
+      endCursor:       edges[edges.length - 1]?.cursor || null,
+    },
+  };
+};
+
+module.exports = { paginate, encodeCursor, decodeCursor, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
@@ -0,0 +1,97 @@
+// utils/photoCleanupJob.js
+// v1.0.0
+//
+// Photos uploaded through POST /api/upload that never got attached to an employee (the
+// addEmployee call failed, or nobody made it) would sit in storage forever. This goes
+// through everything in photo storage and deletes whatever no employee points at.
+//
+// Anything younger than PHOTO_ORPHAN_GRACE_HOURS (default 24) is left alone — that's
+// someone who uploaded a photo and is still filling in the rest of the form. Deleted
+// employees that haven't been purged yet still count as pointing at their photo.
+//
+// server.js runs it once on startup and then every PHOTO_CLEANUP_INTERVAL_HOURS (default 24).
+// Set the interval to 0 to turn the timer off and run `npm run cleanup:photos` from cron instead.
+
+const Employee = require("../models/Employee");
+const AuditLog = require("../models/AuditLog");
+const logger   = require("./logger");
+const { getPhotoStorage, photoGroupKeys } = require("./photoStorage");
+
+const GRACE_HOURS    = parseFloat(process.env.PHOTO_ORPHAN_GRACE_HOURS ?? "24");
+const INTERVAL_HOURS = parseFloat(process.env.PHOTO_CLEANUP_INTERVAL_HOURS ?? "24");
+
+// every storage key some employee (deleted or not) points at — all renditions included
+const referencedKeys = async (storage) => {
+  const keys   = new Set();
+  const cursor = Employee.find({ $or: [{ photo_public_id: { $ne: null } }, { employee_photo: { $ne: null } }] })
+    .setOptions({ withDeleted: true })
+    .select("employee_photo photo_public_id")
+    .lean()
+    .cursor();
+
+  const addGroup = (key) => photoGroupKeys(key).forEach((k) => keys.add(k));
+  for await (const e of cursor) {
+    if (e.photo_public_id) addGroup(e.photo_public_id);
+    // older rows only have the URL
+    const fromUrl = e.employee_photo && storage.keyFromUrl?.(e.employee_photo);
+    if (fromUrl) addGroup(fromUrl);
+  }
+  return keys;
+};
+
+// deletes every unreferenced photo older than the grace period — returns what it found
+const cleanupOrphanPhotos = async ({ graceHours = GRACE_HOURS, dryRun = false } = {}) => {
+  const storage = getPhotoStorage();
+  if (!storage.list || !storage.remove)
+    throw new Error(`The "${storage.name}" photo storage can't list or delete photos.`);
+
+  const cutoff     = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+  const referenced = await referencedKeys(storage);
+
+  const orphans = [];
+  for await (const { key, created_at } of storage.list()) {
+    if (referenced.has(key) || !(created_at <= cutoff)) continue;
+    orphans.push(key);
+  }
+  if (dryRun || orphans.length === 0) return { deleted: 0, orphans, cutoff };
+
+  let deleted = 0;
+  for (const key of orphans) {
+    // someone may have attached it since we looked
+    if (await Employee.exists({ photo_public_id: { $in: photoGroupKeys(key) } }).setOptions({ withDeleted: true })) continue;
+    try {
+      await storage.remove(key);
+      deleted++;
+      await AuditLog.record({
+        source:     "system",
+        route:      "photo cleanup job",
+        operation:  "photo.delete",
+        entityType: "photo",
+        changes:    [{ field: "key", before: key, after: null }],
+      });
+    } catch (err) {
+      logger.error(`Couldn't delete orphaned photo ${key}: ${err.message}`);
+    }
+  }
+  return { deleted, orphans, cutoff };
+};
+
+// runs the cleanup now and then on a timer; returns the timer (or null if it's turned off)
+const startPhotoCleanupJob = () => {
+  const run = () =>
+    cleanupOrphanPhotos()
+      .then(({ deleted }) => {
+        if (deleted > 0) logger.info(`Deleted ${deleted} photo(s) no employee was using`);
+      })
+      .catch((err) => logger.error(`Photo cleanup failed: ${err.message}`));
+
+  run();
+  if (!(INTERVAL_HOURS > 0)) return null;
+
+  // unref so the timer never keeps the process alive on its own
+  const timer = setInterval(run, INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { cleanupOrphanPhotos, startPhotoCleanupJob, GRACE_HOURS };
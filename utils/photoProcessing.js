@@ -0,0 +1,91 @@
+// utils/photoProcessing.js
+// v1.0.0
+//
+// Checks an uploaded photo by what's actually in the file and cuts it into the sizes we serve.
+//
+// The mimetype a client sends is just a claim — multer's fileFilter and the GraphQL upload
+// check only look at that. processPhoto() looks at the bytes:
+//   1. magic bytes — has to really be a JPEG, PNG or WebP, whatever it says it is
+//   2. decodable   — sharp has to be able to read every pixel (truncated / corrupt files fail)
+//   3. size        — neither side bigger than PHOTO_MAX_DIMENSION (default 6000px)
+//
+// Then it makes the renditions, all in the file's own format:
+//   original  — full size, turned upright
+//   medium    — 400x400, cropped around the most interesting part (what employee_photo points at)
+//   thumbnail — 96x96, same crop, for lists and people-pickers
+//
+// Every rendition is re-encoded from the pixels, so EXIF (GPS position, camera serial...)
+// and any other metadata never make it into storage — sharp drops it unless asked not to.
+
+const sharp = require("sharp");
+const { badInput } = require("./errors");
+
+const MAX_DIMENSION = parseInt(process.env.PHOTO_MAX_DIMENSION || "6000", 10);
+
+const RENDITIONS = {
+  original:  null,
+  medium:    { width: 400, height: 400 },
+  thumbnail: { width: 96,  height: 96 },
+};
+
+// ─── Checking ─────────────────────────────────────────────────────────────────
+
+const SIGNATURES = [
+  { mimetype: "image/jpeg", format: "jpeg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimetype: "image/png",  format: "png",  test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimetype: "image/webp", format: "webp", test: (b) => b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP" },
+];
+
+// what the first few bytes say the file is — null if it isn't one of ours
+const sniffImageType = (buffer) =>
+  (buffer && buffer.length >= 12 && SIGNATURES.find((s) => s.test(buffer))) || null;
+
+// ─── Renditions ───────────────────────────────────────────────────────────────
+
+const encode = (image, format) => {
+  if (format === "jpeg") return image.jpeg({ quality: 85, mozjpeg: true });
+  if (format === "png")  return image.png({ compressionLevel: 9 });
+  return image.webp({ quality: 85 });
+};
+
+// buffer → { mimetype, width, height, renditions: { original, medium, thumbnail } }, each
+// rendition { buffer, mimetype, width, height }. Throws BAD_USER_INPUT for anything that
+// isn't a usable photo.
+const processPhoto = async (buffer, { fieldName = "photo" } = {}) => {
+  const type = sniffImageType(buffer);
+  if (!type) throw badInput(`"${fieldName}" isn't a JPEG, PNG or WebP image (whatever its file type says).`);
+
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch {
+    throw badInput(`"${fieldName}" can't be read as an image — the file looks damaged.`);
+  }
+  if (meta.format !== type.format)
+    throw badInput(`"${fieldName}" can't be read as an image — the file looks damaged.`);
+  if (meta.width > MAX_DIMENSION || meta.height > MAX_DIMENSION)
+    throw badInput(`"${fieldName}" is ${meta.width}x${meta.height} — photos can be ${MAX_DIMENSION}px on each side at most.`);
+
+  const renditions = {};
+  try {
+    for (const [name, size] of Object.entries(RENDITIONS)) {
+      // failOn "error" so a truncated file is refused instead of coming out half grey
+      let image = sharp(buffer, { failOn: "error" }).rotate();
+      if (size) image = image.resize(size.width, size.height, { fit: "cover", position: sharp.strategy.attention });
+
+      const { data, info } = await encode(image, type.format).toBuffer({ resolveWithObject: true });
+      renditions[name] = { buffer: data, mimetype: type.mimetype, width: info.width, height: info.height };
+    }
+  } catch {
+    throw badInput(`"${fieldName}" can't be read as an image — the file looks damaged.`);
+  }
+
+  return {
+    mimetype:   type.mimetype,
+    width:      renditions.original.width,
+    height:     renditions.original.height,
+    renditions,
+  };
+};
+
+module.exports = { processPhoto, sniffImageType, RENDITIONS, MAX_DIMENSION };
@@ -0,0 +1,358 @@
+// utils/photoStorage.js
+// v1.0.0
+//
+// Where employee photos live, picked by PHOTO_STORAGE in .env:
+//
+//   cloudinary — Cloudinary (config/cloudinary.js). The default when the CLOUDINARY_*
+//                credentials are set.
+//   local      — files on disk in PHOTO_LOCAL_DIR (default ./uploads/photos), served by
+//                Express at /uploads/photos. The default when Cloudinary isn't set up,
+//                so uploads work offline and in tests.
+//   s3         — any S3-compatible bucket (AWS, MinIO, R2, Spaces...) — see S3_* in the README.
+//
+// Every upload goes through utils/photoProcessing.js first (checked by content, metadata
+// stripped) and is stored as three renditions side by side:
+//   emp_<ts>_<hex>.jpg          original
+//   emp_<ts>_<hex>_medium.jpg   400x400 — what employee_photo points at
+//   emp_<ts>_<hex>_thumb.jpg    96x96
+// The employee keeps the original's key (photo_public_id); the other two are always found
+// from it, so deleting or cleaning up a photo takes all three.
+//
+// An adapter is an object with:
+//   save(buffer, { mimetype, name }) → { key, url }  stores the image — under `name` (+ the
+//                                                    extension, folder...) when it's given
+//   urlFor(key)                → url             the public URL for a stored key
+//   keyFromUrl(url)            → key | null      the reverse — null for URLs that aren't ours
+//   remove(key)                                  deletes it (already gone is fine)
+//   list()                     → async iterable of { key, created_at } — every stored photo
+//
+// Employees keep the key next to the URL (photo_public_id) so the old photo can be deleted
+// when it's replaced or the employee is purged — see releasePhoto() below and
+// utils/photoCleanupJob.js for the photos nobody ended up using.
+//
+// Whatever the backend, employee_photo is always an absolute http(s) URL that works as-is
+// in an <img> tag — routes never build URLs themselves. Adding another backend is one
+// registerAdapter() call, same as mailer transports.
+
+const crypto = require("crypto");
+const fs     = require("fs/promises");
+const path   = require("path");
+const logger = require("./logger");
+const { processPhoto } = require("./photoProcessing");
+
+const PHOTO_FOLDER      = "emp_mgmt/photos";
+const LOCAL_PHOTO_ROUTE = "/uploads/photos";
+const LOCAL_PHOTO_DIR   = path.resolve(process.env.PHOTO_LOCAL_DIR || "uploads/photos");
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png":  "png",
+  "image/webp": "webp",
+};
+
+// what every way in (REST multer, GraphQL uploads) accepts
+const PHOTO_TYPES     = Object.keys(EXTENSIONS);
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024; // 5MB
+
+// emp_1718000000000_9f86d081 — unique, and never reused, so it can be cached forever
+const newName = () => `emp_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+
+const fileName = (name, mimetype) => `${name || newName()}.${EXTENSIONS[mimetype] || "bin"}`;
+
+const SUFFIXES = {
+  original:  "",
+  medium:    "_medium",
+  thumbnail: "_thumb",
+};
+
+const trimSlash = (url) => String(url).replace(/\/+$/, "");
+
+// the part of `url` after `base/`, or null if it doesn't start with it
+const pathAfter = (url, base) => {
+  const prefix = `${base}/`;
+  if (!url || !String(url).startsWith(prefix)) return null;
+  try {
+    return String(url).slice(prefix.length).split("?")[0].split("/").map(decodeURIComponent).join("/");
+  } catch {
+    return null;
+  }
+};
+
+// ─── Built-in adapters ────────────────────────────────────────────────────────
+
+const cloudinaryAdapter = () => {
+  const cloudinary = require("../config/cloudinary");
+  return {
+    name: "cloudinary",
+    // stored as-is — resizing and cropping already happened in utils/photoProcessing.js
+    save: (buffer, { name } = {}) =>
+      new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          {
+            folder:          PHOTO_FOLDER,
+            public_id:       name || newName(),
+            allowed_formats: ["jpg", "jpeg", "png", "webp"],
+          },
+          (err, result) => (err ? reject(err) : resolve({ key: result.public_id, url: result.secure_url }))
+        );
+        stream.end(buffer);
+      }),
+    urlFor: (key) => cloudinary.url(key, { secure: true }),
+
+    // https://res.cloudinary.com/<cloud>/image/upload/v1712/emp_mgmt/photos/emp_123.jpg → emp_mgmt/photos/emp_123
+    keyFromUrl: (url) => {
+      const cloud = cloudinary.config().cloud_name;
+      const match = String(url || "").match(/^https?:\/\/res\.cloudinary\.com\/([^/]+)\/image\/upload\/(?:.*\/)?(emp_mgmt\/photos\/[^/.?]+)/);
+      return match && match[1] === cloud ? match[2] : null;
+    },
+
+    remove: (key) => cloudinary.uploader.destroy(key, { invalidate: true }),
+
+    list: async function* () {
+      let next_cursor;
+      do {
+        const page = await cloudinary.api.resources({ type: "upload", prefix: PHOTO_FOLDER, max_results: 500, next_cursor });
+        for (const r of page.resources) yield { key: r.public_id, created_at: new Date(r.created_at) };
+        next_cursor = page.next_cursor;
+      } while (next_cursor);
+    },
+  };
+};
+
+const localAdapter = () => {
+  // where the app is reachable from the outside — APP_URL is what emails link to as well
+  const base = trimSlash(
+    process.env.PHOTO_PUBLIC_URL ||
+    `${process.env.APP_URL || `http://localhost:${process.env.PORT || 4000}`}${LOCAL_PHOTO_ROUTE}`
+  );
+  const urlFor = (key) => `${base}/${encodeURIComponent(key)}`;
+
+  // keys are plain file names — anything with a path in it isn't one of ours
+  const fileFor = (key) => {
+    if (!/^[\w.-]+$/.test(key) || key.startsWith(".")) throw new Error(`"${key}" isn't a local photo key`);
+    return path.join(LOCAL_PHOTO_DIR, key);
+  };
+
+  return {
+    name:        "local",
+    description: LOCAL_PHOTO_DIR,
+    save: async (buffer, { mimetype, name }) => {
+      await fs.mkdir(LOCAL_PHOTO_DIR, { recursive: true });
+      const key = fileName(name, mimetype);
+      await fs.writeFile(path.join(LOCAL_PHOTO_DIR, key), buffer, { flag: "wx" });
+      return { key, url: urlFor(key) };
+    },
+    urlFor,
+    keyFromUrl: (url) => {
+      const key = pathAfter(url, base);
+      return key && /^[\w.-]+$/.test(key) ? key : null;
+    },
+    remove: async (key) => {
+      await fs.unlink(fileFor(key)).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      });
+    },
+    list: async function* () {
+      const names = await fs.readdir(LOCAL_PHOTO_DIR).catch((err) => {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      });
+      for (const name of names) {
+        if (name.startsWith(".")) continue;
+        const stat = await fs.stat(path.join(LOCAL_PHOTO_DIR, name)).catch(() => null);
+        if (stat?.isFile()) yield { key: name, created_at: stat.mtime };
+      }
+    },
+  };
+};
+
+const s3Adapter = () => {
+  // only loaded when it's actually used
+  const { S3Client, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require("@aws-sdk/client-s3");
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error("PHOTO_STORAGE=s3 needs S3_BUCKET");
+
+  const region    = process.env.S3_REGION || "us-east-1";
+  const endpoint  = process.env.S3_ENDPOINT ? trimSlash(process.env.S3_ENDPOINT) : null;
+  const pathStyle = process.env.S3_FORCE_PATH_STYLE === "true";
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle: pathStyle,
+    // without these the SDK falls back to the usual AWS credential chain (env, profile, IAM role)
+    ...(process.env.S3_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId:     process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      },
+    }),
+  });
+
+  // S3_PUBLIC_URL for a CDN / custom domain in front of the bucket; otherwise the bucket's own URL
+  let base;
+  if (process.env.S3_PUBLIC_URL) base = trimSlash(process.env.S3_PUBLIC_URL);
+  else if (endpoint && pathStyle) base = `${endpoint}/${bucket}`;
+  else if (endpoint) base = endpoint.replace("://", `://${bucket}.`);
+  else base = `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  const urlFor = (key) => `${base}/${key.split("/").map(encodeURIComponent).join("/")}`;
+  return {
+    name:        "s3",
+    description: `bucket ${bucket}`,
+    save: async (buffer, { mimetype, name }) => {
+      const key = `${PHOTO_FOLDER}/${fileName(name, mimetype)}`;
+      await client.send(new PutObjectCommand({
+        Bucket:       bucket,
+        Key:          key,
+        Body:         buffer,
+        ContentType:  mimetype,
+        CacheControl: "public, max-age=31536000, immutable",
+      }));
+      return { key, url: urlFor(key) };
+    },
+    urlFor,
+    keyFromUrl: (url) => {
+      const key = pathAfter(url, base);
+      return key && key.startsWith(`${PHOTO_FOLDER}/`) ? key : null;
+    },
+    remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+    list: async function* () {
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: `${PHOTO_FOLDER}/`, ContinuationToken }));
+        for (const o of page.Contents || []) yield { key: o.Key, created_at: o.LastModified };
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+  };
+};
+
+const adapters = {
+  cloudinary: cloudinaryAdapter,
+  local:      localAdapter,
+  s3:         s3Adapter,
+};
+
+// ─── Picking one ──────────────────────────────────────────────────────────────
+
+let active = null;
+
+// register a custom adapter factory: registerAdapter("gcs", () => ({ save, urlFor, keyFromUrl, remove, list }))
+const registerAdapter = (name, factory) => {
+  adapters[name] = factory;
+  active = null; // pick it up next time if PHOTO_STORAGE points at it
+};
+
+const cloudinaryConfigured = () =>
+  Boolean(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+
+const getPhotoStorage = () => {
+  if (active) return active;
+  const name    = process.env.PHOTO_STORAGE || (cloudinaryConfigured() ? "cloudinary" : "local");
+  const factory = adapters[name];
+  if (!factory) throw new Error(`Unknown PHOTO_STORAGE "${name}" — use one of: ${Object.keys(adapters).join(", ")}`);
+  active = factory();
+  logger.info(`📷  Photo storage: ${active.name || name}${active.description ? ` (${active.description})` : ""}`);
+  return active;
+};
+
+// ─── Renditions ───────────────────────────────────────────────────────────────
+
+// any key of a photo → the keys of all three of its renditions
+// (emp_mgmt/photos/emp_1_ab_thumb.jpg → { original: .../emp_1_ab.jpg, medium: ..., thumbnail: ... })
+const renditionKeys = (key) => {
+  const [, base, , ext = ""] = String(key).match(/^(.*?)(_medium|_thumb)?(\.[a-z0-9]+)?$/i);
+  return Object.fromEntries(Object.entries(SUFFIXES).map(([name, suffix]) => [name, `${base}${suffix}${ext}`]));
+};
+
+const photoGroupKeys = (key) => [...new Set(Object.values(renditionKeys(key)))];
+
+// processPhoto()'s result → { key, url, renditions: { original, medium, thumbnail } } —
+// key is the original's, url the medium one (what goes in employee_photo)
+const storePhoto = async (processed) => {
+  const storage = getPhotoStorage();
+  const name    = newName();
+  const saved   = {};
+  try {
+    for (const [rendition, suffix] of Object.entries(SUFFIXES)) {
+      const { buffer, mimetype } = processed.renditions[rendition];
+      saved[rendition] = await storage.save(buffer, { mimetype, name: `${name}${suffix}` });
+    }
+  } catch (err) {
+    // don't leave half a set behind
+    await Promise.all(Object.values(saved).map(({ key }) => storage.remove?.(key).catch(() => {})));
+    throw err;
+  }
+  return {
+    key:        saved.original.key,
+    url:        saved.medium.url,
+    renditions: Object.fromEntries(Object.entries(saved).map(([rendition, { url }]) => [rendition, url])),
+  };
+};
+
+// a multer memory-storage file → checked, cut into renditions and stored (see storePhoto)
+const savePhoto = async (file) => storePhoto(await processPhoto(file.buffer));
+
+// an employee_photo URL → { key, renditions } — the original's key, and the rendition URLs
+// when it's one of ours that has them (photos stored before renditions only have the one).
+// Both null for URLs that point somewhere else — those were pasted in by hand and aren't
+// ours to delete.
+const photoFromUrl = (url) => {
+  if (!url) return { key: null, renditions: null };
+  const storage = getPhotoStorage();
+  const key     = storage.keyFromUrl?.(url) ?? null;
+  if (!key) return { key: null, renditions: null };
+
+  const keys = renditionKeys(key);
+  if (key === keys.original) return { key, renditions: null };
+  return {
+    key:        keys.original,
+    renditions: Object.fromEntries(Object.entries(keys).map(([rendition, k]) => [rendition, storage.urlFor(k)])),
+  };
+};
+
+// just the key — see photoFromUrl
+const photoKeyFromUrl = (url) => photoFromUrl(url).key;
+
+// deletes a photo (all of its renditions) once nobody points at it any more — skip
+// `exceptEmployeeId`, the employee that's letting go of it. Deleted-but-not-purged employees
+// still count: restoring them should bring their photo back. Never throws — the cleanup
+// job gets anything missed here.
+const releasePhoto = async (key, exceptEmployeeId = null) => {
+  if (!key) return false;
+  try {
+    // required here, not at the top — models/Employee.js is loaded by half the utils
+    const Employee = require("../models/Employee");
+    const stillUsed = await Employee.exists({
+      photo_public_id: key,
+      ...(exceptEmployeeId && { _id: { $ne: exceptEmployeeId } }),
+    }).setOptions({ withDeleted: true });
+    if (stillUsed) return false;
+
+    // photos from before renditions only have the one file — removing the others is a no-op
+    const storage = getPhotoStorage();
+    await Promise.all(photoGroupKeys(key).map((k) => storage.remove(k)));
+    logger.info(`Photo deleted from storage: ${key}`);
+    return true;
+  } catch (err) {
+    logger.error(`Couldn't delete photo ${key}: ${err.message}`);
+    return false;
+  }
+};
+
+module.exports = {
+  getPhotoStorage,
+  savePhoto,
+  storePhoto,
+  photoFromUrl,
+  photoKeyFromUrl,
+  photoGroupKeys,
+  releasePhoto,
+  registerAdapter,
+  PHOTO_TYPES,
+  MAX_PHOTO_BYTES,
+  LOCAL_PHOTO_ROUTE,
+  LOCAL_PHOTO_DIR,
+};
@@ -0,0 +1,68 @@
+// utils/projection.js
+// v1.0.0
+//
+// Turns the GraphQL selection into a Mongo projection, so list queries only read the
+// fields the client actually asked for — getAllEmployees { employees { first_name } }
+// doesn't need to pull salaries and photo URLs for every row.
+//
+//   employeeProjection(info, path) → "first_name last_name _id created_at"
+//
+// `path` is where the Employee objects sit under the field being resolved:
+//   ["employees"]      for EmployeeList       (getAllEmployees, employees...)
+//   ["edges", "node"]  for EmployeeConnection (employeesConnection...)
+//   []                 when the field returns employees directly (directReports...)
+//
+// Fragments (named and inline) are followed. Computed fields pull in what they're built
+// from (full_name → first_name + last_name). _id and created_at are always there — every
+// relation needs the _id and cursors are built from created_at.
+
+const Employee = require("../models/Employee");
+
+// GraphQL fields that aren't stored as-is → the stored fields they need
+const EMPLOYEE_FIELD_NEEDS = {
+  full_name:      ["first_name", "last_name"],
+  photo:          ["photo_renditions", "employee_photo"],
+  direct_reports: [],
+};
+
+const ALWAYS = ["_id", "created_at"];
+
+// names of the fields selected in `selectionSet`, fragments flattened in
+const fieldNames = (selectionSet, fragments, into = new Map()) => {
+  for (const selection of selectionSet?.selections || []) {
+    if (selection.kind === "Field") {
+      const name = selection.name.value;
+      into.set(name, [...(into.get(name) || []), selection]);
+    } else if (selection.kind === "InlineFragment") {
+      fieldNames(selection.selectionSet, fragments, into);
+    } else if (selection.kind === "FragmentSpread") {
+      fieldNames(fragments[selection.name.value]?.selectionSet, fragments, into);
+    }
+  }
+  return into;
+};
+
+// the set of field names selected at `path` below the current field
+const selectedFields = (info, path = []) => {
+  let nodes = info.fieldNodes;
+  for (const step of path) {
+    nodes = nodes.flatMap((node) => fieldNames(node.selectionSet, info.fragments).get(step) || []);
+  }
+  const names = new Set();
+  nodes.forEach((node) => fieldNames(node.selectionSet, info.fragments).forEach((_, name) => names.add(name)));
+  return names;
+};
+
+// → a string for Query.select(), or null (no projection) when nothing is known about the selection
+const employeeProjection = (info, path = []) => {
+  if (!info?.fieldNodes) return null;
+
+  const fields = new Set(ALWAYS);
+  for (const name of selectedFields(info, path)) {
+    if (EMPLOYEE_FIELD_NEEDS[name]) EMPLOYEE_FIELD_NEEDS[name].forEach((f) => fields.add(f));
+    else if (Employee.schema.path(name)) fields.add(name);
+  }
+  return [...fields].join(" ");
+};
+
+module.exports = { employeeProjection, selectedFields };
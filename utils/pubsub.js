@@ -0,0 +1,66 @@
+// utils/pubsub.js
+// v1.0.0
+//
+// Pub/sub behind the employeeAdded / employeeUpdated / employeeDeleted subscriptions.
+// The adapter is picked by PUBSUB_ADAPTER in .env, the same way mailer.js picks transports:
+//
+//   memory — (default) graphql-subscriptions' in-process PubSub. Fine for a single server;
+//            with several instances each one only hears about its own changes.
+//
+// Anything that implements graphql-subscriptions' PubSubEngine works as an adapter, so
+// running more than one instance is one registerAdapter() call before the server starts:
+//
+//   const { RedisPubSub } = require("graphql-redis-subscriptions");
+//   registerAdapter("redis", () => new RedisPubSub({ connection: process.env.REDIS_URL }));
+//
+// Events only carry the employee's _id — the subscription resolvers load the employee
+// themselves, so payloads survive any adapter's serialization and are never stale.
+
+const { PubSub } = require("graphql-subscriptions");
+const logger     = require("./logger");
+
+const EVENTS = {
+  EMPLOYEE_ADDED:   "EMPLOYEE_ADDED",
+  EMPLOYEE_UPDATED: "EMPLOYEE_UPDATED",
+  EMPLOYEE_DELETED: "EMPLOYEE_DELETED",
+};
+
+const adapters = {
+  memory: () => new PubSub(),
+};
+
+let active = null;
+
+// register a custom adapter factory: registerAdapter("redis", () => new RedisPubSub(...))
+const registerAdapter = (name, factory) => {
+  adapters[name] = factory;
+  active = null; // pick it up next time if PUBSUB_ADAPTER points at it
+};
+
+const getPubSub = () => {
+  if (active) return active;
+  const name    = process.env.PUBSUB_ADAPTER || "memory";
+  const factory = adapters[name];
+  if (!factory) throw new Error(`Unknown PUBSUB_ADAPTER "${name}" — use one of: ${Object.keys(adapters).join(", ")}`);
+  active = factory();
+  return active;
+};
+
+// tells every subscriber about the employees — never throws, a mutation shouldn't fail
+// because nobody could be told about it
+const publishEmployee = async (event, ...employeeIds) => {
+  try {
+    const pubsub = getPubSub();
+    await Promise.all(employeeIds.map((id) => pubsub.publish(event, { employee_id: String(id) })));
+  } catch (err) {
+    logger.error(`Couldn't publish ${event}: ${err.message}`);
+  }
+};
+
+// async iterator for a subscription resolver — older engines only have asyncIterator()
+const subscribe = (event) => {
+  const pubsub = getPubSub();
+  return pubsub.asyncIterableIterator ? pubsub.asyncIterableIterator(event) : pubsub.asyncIterator(event);
+};
+
+module.exports = { EVENTS, publishEmployee, subscribe, registerAdapter, getPubSub };
@@ -0,0 +1,74 @@
+// utils/purgeJob.js
+// v1.0.0
+//
+// Soft-deleted employees stick around so a mis-click can be undone with restoreEmployee.
+// This is what finally gets rid of them: anything deleted more than EMPLOYEE_RETENTION_DAYS
+// ago (default 30) is removed for good — and so are their salary history and their photos
+// (utils/photoStorage.js).
+//
+// server.js runs it once on startup and then every EMPLOYEE_PURGE_INTERVAL_HOURS (default 24).
+// Set the interval to 0 to turn the timer off and run `npm run purge:employees` from cron instead.
+
+const Employee    = require("../models/Employee");
+const AuditLog    = require("../models/AuditLog");
+const SalaryEntry = require("../models/SalaryEntry");
+const logger      = require("./logger");
+const { releasePhoto, photoKeyFromUrl } = require("./photoStorage");
+const { invalidateResponseCache } = require("./responseCache");
+
+const RETENTION_DAYS = parseInt(process.env.EMPLOYEE_RETENTION_DAYS || "30", 10);
+const INTERVAL_HOURS = parseFloat(process.env.EMPLOYEE_PURGE_INTERVAL_HOURS ?? "24");
+
+// hard-deletes everything soft-deleted before the cutoff — returns how many went
+const purgeDeletedEmployees = async ({ retentionDays = RETENTION_DAYS, dryRun = false } = {}) => {
+  const cutoff  = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = { deleted_at: { $ne: null, $lte: cutoff } };
+
+  const expiredRows = await Employee.find(expired).select("_id employee_photo photo_public_id").lean();
+  const ids = expiredRows.map((e) => e._id);
+  if (dryRun || ids.length === 0) return { purged: ids.length, cutoff };
+
+  await Employee.deleteMany({ _id: { $in: ids } });
+  // their salary history goes too — otherwise the salary job would keep applying
+  // scheduled raises to people who no longer exist (the audit log keeps the record)
+  await SalaryEntry.deleteMany({ employee: { $in: ids } });
+  await invalidateResponseCache("purge job");
+
+  // their photos go with them — releasePhoto leaves any that someone else still uses
+  const photoKeys = new Set(expiredRows.map((e) => e.photo_public_id || photoKeyFromUrl(e.employee_photo)).filter(Boolean));
+  for (const key of photoKeys) await releasePhoto(key);
+  await Promise.all(ids.map((id) =>
+    AuditLog.record({
+      source:     "system",
+      route:      "purge job",
+      operation:  "employee.purge",
+      entityType: "employee",
+      entityId:   id,
+    })
+  ));
+
+  // other deleted rows can still point at them (restore would bring back a dangling manager)
+  await Employee.updateMany({ manager: { $in: ids } }, { $set: { manager: null } });
+
+  return { purged: ids.length, cutoff };
+};
+
+// runs the purge now and then on a timer; returns the timer (or null if it's turned off)
+const startPurgeJob = () => {
+  const run = () =>
+    purgeDeletedEmployees()
+      .then(({ purged }) => {
+        if (purged > 0) logger.info(`Purged ${purged} employee(s) deleted more than ${RETENTION_DAYS} days ago`);
+      })
+      .catch((err) => logger.error(`Employee purge failed: ${err.message}`));
+
+  run();
+  if (!(INTERVAL_HOURS > 0)) return null;
+
+  // unref so the timer never keeps the process alive on its own
+  const timer = setInterval(run, INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { purgeDeletedEmployees, startPurgeJob, RETENTION_DAYS };
@@ -0,0 +1,268 @@
+// utils/queryLimits.js
+// v1.0.0
+//
+// Limits on how much work one GraphQL request can ask for. The rate limiter counts requests,
+// but one request can hold a lot — 500 aliased searchEmployeeById calls, or
+// orgChart { reports { reports { reports ... } } } ten levels down — so every operation is
+// measured before it runs and turned away (QUERY_TOO_COMPLEX, 400) if it's over budget:
+//
+//   depth    — how deep the selections nest                          GRAPHQL_MAX_DEPTH   (10)
+//   aliases  — how many aliased fields the operation has             GRAPHQL_MAX_ALIASES (15)
+//   cost     — a rough estimate of the work, see below               GRAPHQL_MAX_COST    (1000)
+//   batch    — how many operations one HTTP request can carry        GRAPHQL_MAX_BATCH   (5)
+//
+// 0 turns a limit off — for the batch limit too, where it means batches of any size. To turn
+// batching off altogether, set GRAPHQL_MAX_BATCH=1.
+//
+// Cost: every field that returns an object costs 1, plain values (names, salaries...) are
+// free, mutations cost 10, and a few expensive fields cost more (FIELD_COSTS). Anything under
+// a list costs that much again for every item the list can hold — the list's first / last /
+// limit argument (also when it's on the field above, like getAllEmployees(limit) { employees }),
+// or DEFAULT_LIST_SIZE when there isn't one. So
+//
+//   getAllEmployees(limit: 50) { employees { full_name manager { full_name } } }
+//
+// costs 1 + 50 × (1 + 1) = 101. The cost is sent back in every response under
+// extensions.cost, so clients can see how close they are:
+//
+//   "extensions": { "cost": { "requested": 101, "maximum": 1000, "depth": 4, "aliases": 0 } }
+//
+// Introspection (__schema, __type) isn't counted, and is turned off completely when
+// NODE_ENV=production unless GRAPHQL_INTROSPECTION=true says otherwise.
+//
+// Subscriptions go through the same checks in server.js's graphql-ws onSubscribe.
+
+const {
+  parse, getOperationAST, getNamedType, getNullableType, isListType, isLeafType, valueFromAST, GraphQLInt,
+} = require("graphql");
+const { tooComplex } = require("./errors");
+
+const limit = (name, fallback) => {
+  const value = parseInt(process.env[name] ?? fallback, 10);
+  return Number.isNaN(value) ? parseInt(fallback, 10) : value;
+};
+
+const LIMITS = {
+  maxDepth:   limit("GRAPHQL_MAX_DEPTH",   "10"),
+  maxAliases: limit("GRAPHQL_MAX_ALIASES", "15"),
+  maxCost:    limit("GRAPHQL_MAX_COST",    "1000"),
+  maxBatch:   limit("GRAPHQL_MAX_BATCH",   "5"),
+};
+
+const INTROSPECTION = process.env.GRAPHQL_INTROSPECTION
+  ? process.env.GRAPHQL_INTROSPECTION === "true"
+  : process.env.NODE_ENV !== "production";
+
+// what a list counts as when nothing says how long it is — the usual default page size
+const DEFAULT_LIST_SIZE = 20;
+// nothing hands out more than 100 at a time (loginAttempts and employeeHistory can do 500,
+// but only for admins — counting those at 100 is fine)
+const MAX_LIST_SIZE = 100;
+
+const SIZE_ARGS = ["first", "last", "limit"];
+
+const MUTATION_COST = 10;
+
+// fields that are a lot more work than a lookup
+const FIELD_COSTS = {
+  "Query.login":                  10, // bcrypt
+  "Query.searchEmployees":        5,  // $text search
+  "Query.employeeTypeahead":      3,
+  "Query.workforceAnalytics":     20, // a handful of aggregations
+  "Query.managementChain":        5,
+  "Query.orgChart":               10,
+  "Mutation.bulkUpdateEmployees": 50,
+  "Mutation.bulkDeleteEmployees": 50,
+};
+
+// ─── Measuring ────────────────────────────────────────────────────────────────
+
+// the first / last / limit a field was given, if any
+const sizeOf = (field, variables) => {
+  for (const arg of field.arguments || []) {
+    if (!SIZE_ARGS.includes(arg.name.value)) continue;
+    const value = valueFromAST(arg.value, GraphQLInt, variables);
+    if (Number.isInteger(value)) return Math.min(MAX_LIST_SIZE, Math.max(0, value));
+  }
+  return null;
+};
+
+// operation → { cost, depth, aliases }
+//
+// Fragments are worked out once per (fragment, list size) and reused, so a document that
+// spreads the same fragment over and over can't make the measuring itself slow. Fragments
+// on different types of the same interface are all added up — an overestimate, never an under.
+const measure = (schema, operation, fragments, variables = {}) => {
+  const memo = new Map();
+
+  const walk = (selectionSet, parentType, pending, visiting) => {
+    const total = { cost: 0, depth: 0, aliases: 0 };
+    const add = (part) => {
+      total.cost    += part.cost;
+      total.depth    = Math.max(total.depth, part.depth);
+      total.aliases += part.aliases;
+    };
+
+    for (const selection of selectionSet?.selections || []) {
+      if (selection.kind === "InlineFragment") {
+        const type = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : parentType;
+        add(walk(selection.selectionSet, type || parentType, pending, visiting));
+        continue;
+      }
+
+      if (selection.kind === "FragmentSpread") {
+        const name     = selection.name.value;
+        const fragment = fragments[name];
+        if (!fragment || visiting.has(name)) continue;
+
+        const key = `${name}:${pending}`;
+        if (!memo.has(key)) {
+          const type = schema.getType(fragment.typeCondition.name.value) || parentType;
+          memo.set(key, walk(fragment.selectionSet, type, pending, new Set([...visiting, name])));
+        }
+        add(memo.get(key));
+        continue;
+      }
+
+      // a Field — introspection isn't counted
+      const name = selection.name.value;
+      if (name.startsWith("__")) continue;
+
+      const fieldDef = parentType?.getFields?.()[name];
+      if (!fieldDef) continue; // validation turns unknown fields away anyway
+
+      const type   = getNamedType(fieldDef.type);
+      const isList = isListType(getNullableType(fieldDef.type));
+      const size   = sizeOf(selection, variables) ?? pending;
+
+      // a size on a field that isn't a list is for the first list under it
+      const times = isList ? (size ?? DEFAULT_LIST_SIZE) : 1;
+      const below = selection.selectionSet
+        ? walk(selection.selectionSet, type, isList ? null : size, visiting)
+        : { cost: 0, depth: 0, aliases: 0 };
+
+      const own = FIELD_COSTS[`${parentType.name}.${name}`]
+        ?? (parentType === schema.getMutationType() ? MUTATION_COST : isLeafType(type) ? 0 : 1);
+
+      add({
+        cost:    times * (own + below.cost),
+        depth:   1 + below.depth,
+        aliases: (selection.alias ? 1 : 0) + below.aliases,
+      });
+    }
+    return total;
+  };
+
+  const rootType = {
+    query:        schema.getQueryType(),
+    mutation:     schema.getMutationType(),
+    subscription: schema.getSubscriptionType(),
+  }[operation.operation];
+
+  return walk(operation.selectionSet, rootType, null, new Set());
+};
+
+// parsed document → { cost, depth, aliases }, or null if there's no such operation
+const analyzeOperation = (schema, document, { operationName, variables } = {}) => {
+  const operation = getOperationAST(document, operationName);
+  if (!operation) return null;
+
+  const fragments = {};
+  document.definitions
+    .filter((d) => d.kind === "FragmentDefinition")
+    .forEach((d) => { fragments[d.name.value] = d; });
+
+  return measure(schema, operation, fragments, variables || {});
+};
+
+// the error for the first limit a measurement goes over, or null if it's within all of them
+const limitError = ({ cost, depth, aliases }, limits = LIMITS) => {
+  if (limits.maxDepth && depth > limits.maxDepth)
+    return tooComplex(`Query is nested ${depth} levels deep — the limit is ${limits.maxDepth}.`);
+  if (limits.maxAliases && aliases > limits.maxAliases)
+    return tooComplex(`Query uses ${aliases} aliases — the limit is ${limits.maxAliases}.`);
+  if (limits.maxCost && cost > limits.maxCost)
+    return tooComplex(`Query costs ${cost} — the limit is ${limits.maxCost}. Ask for smaller pages or fewer nested fields.`);
+  return null;
+};
+
+// ─── Apollo plugin ────────────────────────────────────────────────────────────
+
+const queryLimitsPlugin = (limits = LIMITS) => ({
+  async requestDidStart() {
+    let measured = null;
+
+    return {
+      // after parsing and validation, before anything runs
+      async didResolveOperation({ schema, document, request, operationName }) {
+        measured = analyzeOperation(schema, document, { operationName, variables: request.variables });
+        if (!measured) return;
+
+        const error = limitError(measured, limits);
+        if (error) {
+          error.extensions.http = { status: 400 };
+          throw error;
+        }
+      },
+
+      async willSendResponse({ response }) {
+        if (!measured || response.body.kind !== "single") return;
+        response.body.singleResult.extensions = {
+          ...response.body.singleResult.extensions,
+          cost: {
+            requested: measured.cost,
+            maximum:   limits.maxCost || null,
+            depth:     measured.depth,
+            aliases:   measured.aliases,
+          },
+        };
+      },
+    };
+  },
+});
+
+// ─── Subscriptions (graphql-ws) ───────────────────────────────────────────────
+
+// for graphql-ws's onSubscribe: errors to send back if the subscription is over a limit.
+// Anything that doesn't parse is left for graphql-ws to reject the usual way.
+const subscriptionLimitErrors = (schema, payload, limits = LIMITS) => {
+  let document;
+  try {
+    document = parse(payload.query);
+  } catch {
+    return undefined;
+  }
+  const measured = analyzeOperation(schema, document, payload);
+  const error    = measured && limitError(measured, limits);
+  return error ? [error] : undefined;
+};
+
+// ─── Batches ──────────────────────────────────────────────────────────────────
+
+// whether Apollo should take array bodies at all — everything but GRAPHQL_MAX_BATCH=1
+// (0 is no limit, like the others)
+const BATCHING = LIMITS.maxBatch === 0 || LIMITS.maxBatch > 1;
+
+// goes in front of Apollo on /graphql — with batching off Apollo turns arrays away itself
+// (allowBatchedHttpRequests in server.js), and with no limit there's nothing to check
+const limitBatch = (req, res, next) => {
+  if (!Array.isArray(req.body) || !(LIMITS.maxBatch > 1) || req.body.length <= LIMITS.maxBatch) return next();
+
+  return res.status(400).json({
+    errors: [{
+      message: `A batch can hold ${LIMITS.maxBatch} operations at most — this one has ${req.body.length}.`,
+      code:    "QUERY_TOO_COMPLEX",
+    }],
+  });
+};
+
+module.exports = {
+  queryLimitsPlugin,
+  subscriptionLimitErrors,
+  limitBatch,
+  analyzeOperation,
+  LIMITS,
+  BATCHING,
+  INTROSPECTION,
+  FIELD_COSTS,
+};
@@ -0,0 +1,244 @@
+// utils/responseCache.js
+// v1.0.0
+//
+// Caches the responses to read queries, so a dashboard refreshing getAllEmployees every few
+// seconds doesn't run the same finds and counts against Mongo every time.
+//
+// Only queries made up entirely of CACHEABLE_FIELDS are cached — employee, department and
+// org chart reads. Anything personal (me, mySessions) or that changes without an employee
+// changing (auditLog, loginAttempts, webhookDeliveries) always runs. Responses with errors are
+// never stored.
+//
+// A response is stored under a hash of the query, the operation name, the variables and who
+// asked (user _id + role), so nobody is ever handed a response made for someone else. It
+// lives for RESPONSE_CACHE_TTL_SECONDS (default 60, 0 turns the cache off).
+//
+// Invalidation: every key also includes a "generation". invalidateResponseCache() just starts
+// a new one, so everything cached before it is never read again (and expires on its own).
+// That happens after:
+//   - every GraphQL mutation, except the ones in KEEPS_CACHE (logins, sessions, webhooks...)
+//   - every successful write to the REST routes (photo create / update, CSV import)
+//   - the salary job applying a raise, and the purge job removing employees
+//
+// The store is picked by RESPONSE_CACHE_STORE in .env, the same way pubsub.js picks adapters:
+//
+//   memory — (default) an in-process LRU cache. With several instances each one has its own,
+//            and a change on one instance doesn't clear the others.
+//
+// Any Apollo KeyValueCache works as a store — for Redis, register it before the server starts:
+//
+//   const { KeyvAdapter } = require("@apollo/utils.keyvadapter");
+//   const Keyv = require("keyv");
+//   registerStore("redis", () => new KeyvAdapter(new Keyv(process.env.REDIS_URL)));
+//
+// The generation lives in the store too, so with a shared store a change on one instance
+// clears the cache for all of them. The same store holds Apollo's automatic persisted
+// queries (server.js), so their hashes are shared between instances as well.
+//
+// Every cacheable response gets an X-Cache: HIT or MISS header.
+
+const crypto = require("crypto");
+const { HeaderMap }        = require("@apollo/server");
+const { InMemoryLRUCache } = require("@apollo/utils.keyvaluecache");
+const logger = require("./logger");
+
+const TTL_SECONDS = parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS ?? "60", 10);
+
+const GENERATION_KEY = "response-cache:generation";
+
+// Query fields whose answers only change when employees or departments do
+const CACHEABLE_FIELDS = new Set([
+  "getAllEmployees",
+  "deletedEmployees",
+  "searchEmployeeById",
+  "searchEmployeeByDesignationOrDepartment",
+  "employees",
+  "searchEmployees",
+  "employeeTypeahead",
+  "workforceAnalytics",
+  "salaryHistory",
+  "salaryOn",
+  "employeesConnection",
+  "employeeSearchConnection",
+  "directReports",
+  "managementChain",
+  "orgChart",
+  "departments",
+  "department",
+]);
+
+// mutations that don't touch anything in CACHEABLE_FIELDS — every other one clears the cache
+const KEEPS_CACHE = new Set([
+  "signup",
+  "refreshToken",
+  "verifyEmail",
+  "resendVerificationEmail",
+  "requestPasswordReset",
+  "resetPassword",
+  "changePassword",
+  "logout",
+  "logoutAllSessions",
+  "revokeSession",
+  "setUserRole",
+  "unlockUser",
+  "registerWebhook",
+  "updateWebhook",
+  "deleteWebhook",
+  "redeliverWebhook",
+]);
+
+// ─── Stores ───────────────────────────────────────────────────────────────────
+
+const stores = {
+  memory: () => new InMemoryLRUCache(),
+};
+
+let active = null;
+
+// register a custom store factory: registerStore("redis", () => new KeyvAdapter(...))
+const registerStore = (name, factory) => {
+  stores[name] = factory;
+  active = null; // pick it up next time if RESPONSE_CACHE_STORE points at it
+};
+
+const getCacheStore = () => {
+  if (active) return active;
+
+  const name    = process.env.RESPONSE_CACHE_STORE || "memory";
+  const factory = stores[name];
+  if (!factory) throw new Error(`Unknown RESPONSE_CACHE_STORE "${name}". Registered: ${Object.keys(stores).join(", ")}`);
+
+  active = factory();
+  logger.info(`Response cache store: ${name}`);
+  return active;
+};
+
+// ─── Generations ──────────────────────────────────────────────────────────────
+
+const newGeneration = () => crypto.randomBytes(8).toString("hex");
+
+// the current generation — starts a new one if the store doesn't have it (first run, evicted)
+const currentGeneration = async () => {
+  const store = getCacheStore();
+  const generation = await store.get(GENERATION_KEY);
+  if (generation) return generation;
+
+  const fresh = newGeneration();
+  await store.set(GENERATION_KEY, fresh);
+  return fresh;
+};
+
+// everything cached so far is never read again — never throws, a write shouldn't fail over this
+const invalidateResponseCache = async (reason = "") => {
+  try {
+    await getCacheStore().set(GENERATION_KEY, newGeneration());
+    logger.debug(`Response cache cleared${reason ? ` (${reason})` : ""}`);
+  } catch (err) {
+    logger.error(`Couldn't clear the response cache: ${err.message}`);
+  }
+};
+
+// ─── Apollo plugin ────────────────────────────────────────────────────────────
+
+const rootFields = (operation) => operation.selectionSet.selections;
+
+// a logged-in query asking only for CACHEABLE_FIELDS (fragments at the top level aren't worth the bother)
+const isCacheable = ({ operation, contextValue }) =>
+  TTL_SECONDS > 0 &&
+  operation?.operation === "query" &&
+  Boolean(contextValue?.user) &&
+  rootFields(operation).every((s) => s.kind === "Field" && CACHEABLE_FIELDS.has(s.name.value));
+
+const clearsCache = (operation) =>
+  operation?.operation === "mutation" &&
+  rootFields(operation).some((s) => s.kind !== "Field" || !KEEPS_CACHE.has(s.name.value));
+
+const cacheKey = async ({ queryHash, operationName, request, contextValue }) => {
+  const hash = crypto.createHash("sha256")
+    .update(JSON.stringify([
+      await currentGeneration(),
+      queryHash,
+      operationName || null,
+      request.variables || {},
+      String(contextValue.user._id),
+      contextValue.user.role,
+    ]))
+    .digest("hex");
+  return `response-cache:${hash}`;
+};
+
+const responseCachePlugin = () => ({
+  async requestDidStart() {
+    let key    = null;
+    let status = null; // "HIT" / "MISS" once we know the query is cacheable
+
+    return {
+      // runs after the query limits, right before execution — a hit skips execution altogether
+      async responseForOperation(requestContext) {
+        if (!isCacheable(requestContext)) return null;
+
+        try {
+          key = await cacheKey(requestContext);
+          const cached = await getCacheStore().get(key);
+          if (cached) {
+            status = "HIT";
+            return {
+              http: { status: undefined, headers: new HeaderMap() },
+              body: { kind: "single", singleResult: { data: JSON.parse(cached) } },
+            };
+          }
+        } catch (err) {
+          // a store that's down means a slower response, not a failed one
+          logger.error(`Response cache read failed: ${err.message}`);
+          key = null;
+          return null;
+        }
+
+        status = "MISS";
+        return null;
+      },
+
+      async willSendResponse({ operation, response }) {
+        if (clearsCache(operation)) {
+          // even if it failed part-way — a bulk mutation can change some rows and then error
+          await invalidateResponseCache(`mutation ${rootFields(operation).map((s) => s.name?.value).join(", ")}`);
+          return;
+        }
+        if (!status) return;
+
+        response.http.headers.set("x-cache", status);
+
+        const result = response.body.kind === "single" ? response.body.singleResult : null;
+        if (status !== "MISS" || !key || !result?.data || result.errors?.length) return;
+
+        try {
+          await getCacheStore().set(key, JSON.stringify(result.data), { ttl: TTL_SECONDS });
+        } catch (err) {
+          logger.error(`Response cache write failed: ${err.message}`);
+        }
+      },
+    };
+  },
+});
+
+// ─── REST ─────────────────────────────────────────────────────────────────────
+
+// for routers that change employees: clears the cache once a write request has succeeded
+const invalidateAfterWrite = (req, res, next) => {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return next();
+
+  res.on("finish", () => {
+    if (res.statusCode < 400) invalidateResponseCache(`${req.method} ${req.originalUrl}`);
+  });
+  next();
+};
+
+module.exports = {
+  responseCachePlugin,
+  invalidateResponseCache,
+  invalidateAfterWrite,
+  registerStore,
+  getCacheStore,
+  CACHEABLE_FIELDS,
+  TTL_SECONDS,
+};
@@ -0,0 +1,46 @@
+// utils/transaction.js
+// v1.0.0
+//
+// Runs a chunk of work inside a MongoDB transaction so it either all happens or none of it does.
+//
+//   const result = await runInTransaction(async (session) => {
+//     await Employee.insertMany(docs, { session });
+//     ...
+//   });
+//
+// Pass `session` to every query inside — anything without it runs outside the transaction.
+//
+// Transactions need a replica set (Atlas always is one). A plain local `mongod` can't do
+// them, so there the work runs with session = null and a warning is logged once —
+// callers that care should clean up after themselves if it throws (see utils/employeeImport.js).
+
+const mongoose = require("mongoose");
+const logger   = require("./logger");
+
+let warned = false;
+
+const transactionsUnsupported = (err) =>
+  err?.code === 20 || /Transaction numbers are only allowed|replica set/i.test(err?.message || "");
+
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (err) {
+    if (!transactionsUnsupported(err)) throw err;
+
+    if (!warned) {
+      logger.warn("MongoDB transactions aren't available (not a replica set) — bulk writes won't be atomic.");
+      warned = true;
+    }
+    return await work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { runInTransaction };
@@ -8,8 +8,8 @@
 // GraphQL resolvers we use its underlying validators directly — same library,
 // same validation rules, just called as functions instead of middleware.
 
-const { body, validationResult } = require("express-validator");
-const { isEmail, isISO8601 }     = require("validator"); // express-validator re-exports validator.js
+const { body, validationResult }     = require("express-validator");
+const { isEmail, isISO8601, isURL } = require("validator"); // express-validator re-exports validator.js
 const { badInput } = require("./errors");
 
 // ─── Direct validators for GraphQL resolvers ──────────────────────────────────
@@ -55,6 +55,14 @@ const validateDate = (dateStr, fieldName = "Date") => {
   return new Date(dateStr);
 };
 
+// http(s) URLs only — require_tld off so http://localhost:3001/hook works in development
+// (webhooks also check where the host points — checkWebhookUrl in utils/webhooks.js)
+const validateUrl = (url, fieldName = "url") => {
+  if (!isURL(String(url || ""), { protocols: ["http", "https"], require_protocol: true, require_tld: false })) {
+    throw badInput(`"${fieldName}" needs to be a full http:// or https:// URL.`);
+  }
+};
+
 // MongoDB ObjectIDs are exactly 24 hex characters
 const validateObjectId = (id, fieldName = "ID") => {
   if (!id || !/^[a-f\d]{24}$/i.test(String(id)))
@@ -104,6 +112,12 @@ const handleValidationErrors = (req) => {
 };
 
 const VALID_GENDERS = ["Male", "Female", "Other"];
+const VALID_ROLES   = ["admin", "hr", "viewer"];
+
+const validateRole = (role) => {
+  if (!VALID_ROLES.includes(role))
+    throw badInput(`"${role}" isn't a valid role — use one of: ${VALID_ROLES.join(", ")}.`);
+};
 
 module.exports = {
   requireField,
@@ -112,7 +126,10 @@ module.exports = {
   validateSalary,
   validateDate,
   validateObjectId,
+  validateUrl,
+  validateRole,
   VALID_GENDERS,
+  VALID_ROLES,
   signupValidationRules,
   employeeValidationRules,
   handleValidationErrors,
@@ -0,0 +1,357 @@
+// utils/webhooks.js
+// v1.0.0
+//
+// Sends employee events to the webhooks admins registered (models/Webhook.js).
+//
+//   emitWebhook(event, ...employeeIds) — called from the resolvers and routes/upload.js next
+//                                        to the subscription publish; queues one delivery per
+//                                        webhook that wants the event and sends it right away
+//   redeliver(delivery)                — sends an old delivery's payload again, as a new delivery
+//   startWebhookJob()                  — retries failed sends on a timer
+//   signPayload / verifySignature      — the HMAC scheme, for receivers (and tests) to check against
+//
+// Every request is a POST with a JSON body and these headers:
+//   X-Webhook-Event      employee_created / employee_updated / employee_deleted
+//   X-Webhook-Delivery   the delivery _id — the same across retries, so receivers can dedupe
+//   X-Webhook-Timestamp  unix seconds when this attempt was sent
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret>
+//
+// Anything other than a 2xx within WEBHOOK_TIMEOUT_MS (default 10s) is a failure. Failures are
+// retried with exponential backoff — WEBHOOK_BACKOFF_SECONDS (default 30) doubled each time —
+// up to WEBHOOK_MAX_ATTEMPTS (default 6) tries in total.
+//
+// Receivers have to be out on the internet. The host is resolved when each attempt is sent and
+// the request goes to exactly the address that was checked, so a URL that points at (or is
+// later re-pointed at) loopback, a private range or link-local — 127.0.0.1, 10.x, 192.168.x,
+// 169.254.169.254 and friends — is refused instead of letting webhooks poke around the
+// internal network. WEBHOOK_ALLOW_PRIVATE=true lifts that for development and tests, where the
+// receiver is http://localhost:3001/hook. Plain http:// is allowed either way; use https for
+// anything real.
+
+const crypto          = require("crypto");
+const dns             = require("dns");
+const http            = require("http");
+const https           = require("https");
+const net             = require("net");
+const Webhook         = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const Employee        = require("../models/Employee");
+const logger          = require("./logger");
+const { badInput }    = require("./errors");
+const { fullName, isoDate, isoDateTime } = require("./employeeFormat");
+
+const MAX_ATTEMPTS     = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6", 10);
+const BACKOFF_SECONDS  = parseFloat(process.env.WEBHOOK_BACKOFF_SECONDS || "30");
+const TIMEOUT_MS       = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10);
+const INTERVAL_SECONDS = parseFloat(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS ?? "15");
+const ALLOW_PRIVATE    = process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+
+const RESPONSE_BODY_LIMIT = 1000;
+
+const WEBHOOK_EVENTS = {
+  EMPLOYEE_CREATED: "employee_created",
+  EMPLOYEE_UPDATED: "employee_updated",
+  EMPLOYEE_DELETED: "employee_deleted",
+};
+
+// ─── Signing ──────────────────────────────────────────────────────────────────
+
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+// constant-time compare — for receivers checking X-Webhook-Signature
+const verifySignature = (secret, timestamp, body, signature) => {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given    = Buffer.from(String(signature || ""));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// ─── Payloads ─────────────────────────────────────────────────────────────────
+
+// the employee as receivers see it — a snapshot at the time of the event, dates as strings
+const employeeJSON = (e) => ({
+  _id:             String(e._id),
+  first_name:      e.first_name,
+  last_name:       e.last_name,
+  full_name:       fullName(e),
+  email:           e.email,
+  gender:          e.gender,
+  designation:     e.designation,
+  salary:          e.salary,
+  date_of_joining: isoDate(e.date_of_joining),
+  department:      e.department?.code
+    ? { _id: String(e.department._id), code: e.department.code, name: e.department.name }
+    : null,
+  manager_id:      e.manager ? String(e.manager) : null,
+  employee_photo:  e.employee_photo ?? null,
+  photo:           e.photo_renditions?.original
+    ? { thumbnail: e.photo_renditions.thumbnail, medium: e.photo_renditions.medium, original: e.photo_renditions.original }
+    : null,
+  deleted_at:      isoDateTime(e.deleted_at),
+  created_at:      isoDateTime(e.created_at),
+  updated_at:      isoDateTime(e.updated_at),
+});
+
+// ─── Destinations ─────────────────────────────────────────────────────────────
+
+// everything that isn't the public internet. IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked
+// against the IPv4 ranges by BlockList itself.
+const BLOCKED = new net.BlockList();
+[
+  ["0.0.0.0", 8],        // "this network"
+  ["10.0.0.0", 8],       // private
+  ["100.64.0.0", 10],    // carrier-grade NAT
+  ["127.0.0.0", 8],      // loopback
+  ["169.254.0.0", 16],   // link-local — cloud metadata lives at 169.254.169.254
+  ["172.16.0.0", 12],    // private
+  ["192.0.0.0", 24],     // protocol assignments
+  ["192.168.0.0", 16],   // private
+  ["198.18.0.0", 15],    // benchmarking
+  ["224.0.0.0", 4],      // multicast
+  ["240.0.0.0", 4],      // reserved + broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],           // unspecified
+  ["::1", 128],          // loopback
+  ["64:ff9b::", 96],     // NAT64 — could be anything behind it
+  ["fc00::", 7],         // unique local
+  ["fe80::", 10],        // link-local
+  ["ff00::", 8],         // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv6"));
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+const refusedError = (host, address) =>
+  Object.assign(
+    new Error(`${host} resolves to ${address}, which is a private or internal address — webhooks only go to public hosts.`),
+    { code: "EPRIVATEADDRESS" }
+  );
+
+// a dns.lookup for http.request — the address it hands back is the one the socket connects to,
+// so checking here can't be dodged by DNS answering differently the second time (rebinding)
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const refused = ALLOW_PRIVATE ? null : addresses.find((a) => isPrivateAddress(a.address));
+    if (refused) return callback(refusedError(hostname, refused.address));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// for registerWebhook / updateWebhook — the same check up front, so an admin hears about it
+// straight away instead of from a failed delivery. A host that doesn't resolve yet is let
+// through; the check at send time still applies.
+const checkWebhookUrl = async (url) => {
+  if (ALLOW_PRIVATE) return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true }).catch(() => []);
+
+  const refused = addresses.find((a) => isPrivateAddress(a.address));
+  if (refused) throw badInput(`"url" points at ${refused.address}, a private or internal address — webhooks only go to public hosts.`);
+};
+
+// ─── Sending ──────────────────────────────────────────────────────────────────
+
+// 30s, 1m, 2m, 4m... after attempt n
+const backoff = (attempt) => BACKOFF_SECONDS * 1000 * 2 ** (attempt - 1);
+
+// POST over http / https with guardedLookup — fetch can't be handed a lookup, so it's done
+// by hand. Never follows redirects (a redirect isn't a delivery). → { status, text }
+const request = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const host   = target.hostname.replace(/^\[|\]$/g, "");
+
+  // an IP in the URL never goes through lookup at all
+  if (!ALLOW_PRIVATE && isPrivateAddress(host)) return reject(refusedError(host, host));
+
+  const client = target.protocol === "https:" ? https : http;
+  const req = client.request(target, {
+    method:  "POST",
+    headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+    lookup:  guardedLookup,
+  }, (res) => {
+    let text = "";
+    res.setEncoding("utf8");
+    // keep reading to the end so the socket is freed, but only hold on to the start
+    res.on("data", (chunk) => { if (text.length < RESPONSE_BODY_LIMIT) text += chunk; });
+    res.on("end", () => resolve({ status: res.statusCode, text }));
+    res.on("error", reject);
+  });
+
+  // the whole attempt, not just an idle socket — a receiver trickling bytes still runs out of time
+  const timer = setTimeout(
+    () => req.destroy(Object.assign(new Error(`No answer within ${TIMEOUT_MS}ms`), { name: "TimeoutError" })),
+    TIMEOUT_MS
+  );
+  req.on("close", () => clearTimeout(timer));
+  req.on("error", reject);
+  req.end(body);
+});
+
+// one HTTP attempt → { response_code, response_body, error, duration_ms }
+const post = async (url, secret, delivery) => {
+  const body      = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started   = Date.now();
+
+  try {
+    const res = await request(url, {
+      "Content-Type":        "application/json",
+      "User-Agent":          "comp3133-employee-webhooks/1.0",
+      "X-Webhook-Event":     delivery.event,
+      "X-Webhook-Delivery":  String(delivery._id),
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": signPayload(secret, timestamp, body),
+    }, body);
+    const ok = res.status >= 200 && res.status < 300;
+    return {
+      response_code: res.status,
+      response_body: res.text.slice(0, RESPONSE_BODY_LIMIT),
+      error:         ok ? null : `Receiver answered ${res.status}`,
+      duration_ms:   Date.now() - started,
+    };
+  } catch (err) {
+    return { response_code: null, response_body: null, error: err.message, duration_ms: Date.now() - started };
+  }
+};
+
+// tries a delivery once, if it's due and nobody else has it — returns the updated delivery
+// (or null if it wasn't ours to send)
+const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+
+  // claim it: push next_attempt_at past the timeout so the retry job leaves it alone meanwhile
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: "pending", next_attempt_at: { $lte: now } },
+    { $set: { next_attempt_at: new Date(now.getTime() + TIMEOUT_MS + 60 * 1000) } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+  if (!webhook || !webhook.is_active) {
+    delivery.status = "failed";
+    delivery.error  = webhook ? "Webhook is switched off." : "Webhook no longer exists.";
+    return delivery.save();
+  }
+
+  const result = await post(webhook.url, webhook.secret, delivery);
+
+  delivery.attempts.push({ at: now, response_code: result.response_code, error: result.error, duration_ms: result.duration_ms });
+  delivery.response_code = result.response_code;
+  delivery.response_body = result.response_body;
+  delivery.error         = result.error;
+
+  if (!result.error) {
+    delivery.status       = "succeeded";
+    delivery.delivered_at = new Date();
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = "failed";
+    logger.warn(`Webhook delivery ${delivery._id} to ${webhook.url} gave up after ${MAX_ATTEMPTS} attempts: ${result.error}`);
+  } else {
+    delivery.next_attempt_at = new Date(Date.now() + backoff(delivery.attempts.length));
+  }
+  return delivery.save();
+};
+
+// fire-and-forget version for right after an event — the retry job picks up whatever fails
+const sendSoon = (deliveryId) =>
+  attemptDelivery(deliveryId).catch((err) =>
+    logger.error(`Webhook delivery ${deliveryId} failed: ${err.message}`)
+  );
+
+// queues the event for every active webhook that wants it — never throws, a change that
+// already happened shouldn't fail because a webhook couldn't be queued
+const emitWebhook = async (event, ...employeeIds) => {
+  try {
+    const webhooks = await Webhook.find({ events: event, is_active: true }).select("_id");
+    if (webhooks.length === 0 || employeeIds.length === 0) return;
+
+    const employees = await Employee.find({ _id: { $in: employeeIds } })
+      .setOptions({ withDeleted: true })
+      .populate("department", "code name");
+
+    const deliveries = await WebhookDelivery.insertMany(
+      employees.flatMap((employee) => {
+        const payload = {
+          event,
+          occurred_at: new Date().toISOString(),
+          data:        { employee: employeeJSON(employee) },
+        };
+        return webhooks.map((w) => ({ webhook: w._id, event, payload }));
+      })
+    );
+    deliveries.forEach((d) => sendSoon(d._id));
+  } catch (err) {
+    logger.error(`Couldn't queue ${event} webhooks: ${err.message}`);
+  }
+};
+
+// same payload, new delivery — sent straight away, returned after that first attempt
+const redeliver = async (original) => {
+  const delivery = await WebhookDelivery.create({
+    webhook:       original.webhook,
+    event:         original.event,
+    payload:       original.payload,
+    redelivery_of: original._id,
+  });
+  return (await attemptDelivery(delivery._id)) || delivery;
+};
+
+// ─── Retry job ────────────────────────────────────────────────────────────────
+
+// tries everything that's due — returns how many it tried
+const retryDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({ status: "pending", next_attempt_at: { $lte: new Date() } })
+    .sort({ next_attempt_at: 1 })
+    .limit(100)
+    .select("_id")
+    .lean();
+
+  // one at a time — a slow receiver shouldn't turn into a burst of parallel requests
+  for (const { _id } of due) await attemptDelivery(_id);
+  return due.length;
+};
+
+// runs now and then every WEBHOOK_RETRY_INTERVAL_SECONDS (default 15, 0 turns it off)
+const startWebhookJob = () => {
+  let running = false;
+  const run = () => {
+    if (running) return;
+    running = true;
+    retryDueDeliveries()
+      .catch((err) => logger.error(`Webhook retry job failed: ${err.message}`))
+      .finally(() => (running = false));
+  };
+
+  run();
+  if (!(INTERVAL_SECONDS > 0)) return null;
+
+  const timer = setInterval(run, INTERVAL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  emitWebhook,
+  redeliver,
+  attemptDelivery,
+  retryDueDeliveries,
+  startWebhookJob,
+  signPayload,
+  verifySignature,
+  checkWebhookUrl,
+  isPrivateAddress,
+  backoff,
+  MAX_ATTEMPTS,
+};